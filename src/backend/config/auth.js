@@ -1,77 +1,172 @@
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const keyStore = require('./keyStore');
+const SessionModel = require('../models/sessionModel');
 
-// Generate a secret key if not provided in environment variables
-const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+// Time allowed between a correct password and the second factor
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
 
 /**
- * Generate a JWT token for a user
+ * Generate a JWT access token for a user
  * @param {Object} user - User object to encode in the token
- * @returns {String} JWT token
+ * @param {String} sessionId - Session the token belongs to
+ * @returns {Promise<String>} JWT token signed with the active key
  */
-const generateToken = (user) => {
-  return jwt.sign(
+const generateToken = (user, sessionId) => {
+  return keyStore.sign(
     {
       id: user.id,
       email: user.email,
       first_name: user.first_name,
       last_name: user.last_name,
+      sid: sessionId,
     },
-    JWT_SECRET,
     { expiresIn: JWT_EXPIRY }
   );
 };
 
+/**
+ * Build the token payload returned to clients
+ * @param {Object} user - User the tokens belong to
+ * @param {String} sessionId - Session ID
+ * @param {String} refreshToken - Raw refresh token
+ * @returns {Promise<Object>} Access token, refresh token and access token lifetime
+ */
+const buildTokenResponse = async (user, sessionId, refreshToken) => {
+  const token = await generateToken(user, sessionId);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: exp - iat
+  };
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} device - { user_agent, ip_address } of the client logging in
+ * @returns {Promise<Object>} Access token, refresh token and access token lifetime
+ */
+const issueAuthTokens = async (user, device = {}) => {
+  const { session, refreshToken } = await SessionModel.createSession(user.id, device);
+  return buildTokenResponse(user, session.id, refreshToken);
+};
+
+/**
+ * Rotate a refresh token and issue a new token pair for the same session
+ * @param {String} refreshToken - Raw refresh token presented by the client
+ * @param {Function} loadUser - Async function resolving a user by ID
+ * @param {Object} device - { ip_address } of the client refreshing
+ * @returns {Promise<Object|null>} New tokens, or null if the refresh token is not usable
+ */
+const refreshAuthTokens = async (refreshToken, loadUser, device = {}) => {
+  const rotation = await SessionModel.rotateRefreshToken(refreshToken, device);
+
+  if (rotation.status !== 'ok') {
+    return null;
+  }
+
+  const user = await loadUser(rotation.session.user_id);
+
+  if (!user) {
+    await SessionModel.revokeSession(rotation.session.id, 'user_missing');
+    return null;
+  }
+
+  return buildTokenResponse(user, rotation.session.id, rotation.refreshToken);
+};
+
 /**
  * Verify a JWT token
  * @param {String} token - JWT token to verify
- * @returns {Object} Decoded token payload
+ * @returns {Promise<Object>} Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, JWT_SECRET);
+  return keyStore.verify(token);
 };
 
 /**
- * Authentication middleware that verifies JWT tokens
+ * Generate the intermediate token returned by /auth/login when two-factor authentication is on.
+ * It only proves the password was correct and cannot be used as an access token.
+ * @param {Object} user - User who passed the password check
+ * @returns {Promise<String>} Challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+  return keyStore.sign(
+    { id: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} token - Challenge token
+ * @returns {Promise<Object|null>} Decoded payload or null if it is not a valid challenge
+ */
+const verifyTwoFactorChallenge = async (token) => {
+  try {
+    const decodedToken = await verifyToken(token);
+    return decodedToken.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decodedToken : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify a local access token and make sure its session is still active
+ * @param {String} token - JWT access token
+ * @returns {Promise<Object|null>} Decoded payload, or null if the session was revoked
+ */
+const verifyAccessToken = async (token) => {
+  const decodedToken = await verifyToken(token);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) are never access tokens
+  if (decodedToken.purpose) {
+    return null;
+  }
+
+  // Tokens signed with the legacy JWT_SECRET predate sessions, so they cannot be revoked one by
+  // one; they are accepted until they expire or JWT_SECRET is removed
+  if (!decodedToken.sid && keyStore.isLegacyToken(token)) {
+    return decodedToken;
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  if (!decodedToken.sid || !(await SessionModel.isSessionActive(decodedToken.sid))) {
+    return null;
+  }
+
+  return decodedToken;
+};
+
+/**
+ * Authentication middleware kept for callers of the original JWT-only API.
+ * It is the authenticate middleware, so revoked sessions and every AUTH_STRATEGIES credential
+ * are handled the same way as on the rest of the API.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const authenticateJWT = (req, res, next) => {
-  try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: "Unauthorized",
-        message: "Authentication required"
-      });
-    }
-    
-    const token = authHeader.split('Bearer ')[1];
-    
-    // Verify token
-    const decodedToken = verifyToken(token);
-    
-    // Add user to request object
-    req.user = decodedToken;
-    
-    next();
-  } catch (error) {
-    console.error("Authentication error:", error);
-    res.status(401).json({
-      success: false,
-      error: "Unauthorized",
-      message: "Invalid authentication credentials"
-    });
-  }
+  // Required here because the auth middleware itself depends on this module
+  const { authenticate } = require('../middleware/authMiddleware');
+  return authenticate(req, res, next);
 };
 
 module.exports = {
   generateToken,
+  issueAuthTokens,
+  refreshAuthTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   verifyToken,
+  verifyAccessToken,
   authenticateJWT,
-  JWT_SECRET
+  // Secret of tokens signed before the key store; new tokens are signed with the key store keys
+  JWT_SECRET: process.env.JWT_SECRET || null
 };
\ No newline at end of file
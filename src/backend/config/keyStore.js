@@ -0,0 +1,339 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const db = require('./db');
+
+/**
+ * JWT signing key store
+ * Keys live in the signing_keys table so every instance signs and verifies
+ * with the same material. Tokens carry the key ID in their "kid" header.
+ */
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'EdDSA'];
+
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const KEY_ROTATION_DAYS = parseFloat(process.env.JWT_KEY_ROTATION_DAYS || '30');
+const KEY_GRACE_HOURS = parseFloat(process.env.JWT_KEY_GRACE_HOURS || '24');
+const KEY_CACHE_SECONDS = 60;
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tokens signed before the key store existed have no "kid"; accept them while JWT_SECRET is still set
+const LEGACY_JWT_SECRET = process.env.JWT_SECRET || null;
+
+if (!SUPPORTED_ALGORITHMS.includes(JWT_ALGORITHM)) {
+  throw new Error(`Unsupported JWT_ALGORITHM "${JWT_ALGORITHM}". Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+}
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+// Seconds per duration unit, in the spellings jsonwebtoken (through the ms package) accepts
+const DURATION_UNITS = [
+  [/^(milliseconds?|msecs?|ms)$/, 0.001],
+  [/^(seconds?|secs?|s)$/, 1],
+  [/^(minutes?|mins?|m)$/, 60],
+  [/^(hours?|hrs?|h)$/, 3600],
+  [/^(days?|d)$/, 86400],
+  [/^(weeks?|w)$/, 604800],
+  [/^(years?|yrs?|y)$/, 31557600]
+];
+
+/**
+ * Convert a duration such as "15m", "1.5h", "7 days" or "3600" to whole seconds.
+ * Units are those jsonwebtoken accepts for expiresIn; plain numbers are seconds.
+ * @param {string|number} duration - Duration
+ * @returns {number} Seconds
+ */
+const parseDuration = (duration) => {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+
+  const match = /^(\d*\.?\d+) *([a-z]*)$/i.exec(String(duration).trim());
+  const unit = match && (match[2] ? DURATION_UNITS.find(([pattern]) => pattern.test(match[2].toLowerCase())) : [null, 1]);
+
+  if (!unit) {
+    throw new Error(`Invalid duration "${duration}"`);
+  }
+
+  return Math.floor(parseFloat(match[1]) * unit[1]);
+};
+
+/**
+ * Generate key material for an algorithm
+ * @param {string} algorithm - HS256, RS256 or EdDSA
+ * @returns {Object} secret or private/public PEM pair
+ */
+const generateKeyMaterial = (algorithm) => {
+  if (algorithm === 'HS256') {
+    return { secret: crypto.randomBytes(64).toString('base64'), private_key: null, public_key: null };
+  }
+
+  const { privateKey, publicKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ed25519');
+
+  return {
+    secret: null,
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    public_key: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+};
+
+/**
+ * Load all keys that can still verify tokens, using a short-lived cache
+ * @param {boolean} forceReload - Skip the cache
+ * @returns {Promise<Array>} Signing key rows, newest first
+ */
+const loadKeys = async (forceReload = false) => {
+  if (!forceReload && cachedKeys && Date.now() - cachedAt < KEY_CACHE_SECONDS * 1000) {
+    return cachedKeys;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM signing_keys
+     WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP
+     ORDER BY created_at DESC`
+  );
+
+  cachedKeys = result.rows;
+  cachedAt = Date.now();
+  return cachedKeys;
+};
+
+/**
+ * Find the key currently used for signing
+ * @param {Array} keys - Signing key rows
+ * @returns {Object|undefined} Active key
+ */
+const findActiveKey = (keys) => {
+  return keys.find(key => !key.retired_at && key.algorithm === JWT_ALGORITHM);
+};
+
+/**
+ * Create a new signing key and retire the previous ones.
+ * Retired keys keep verifying tokens until the grace period ends.
+ * An advisory lock stops several instances rotating at the same time.
+ * @param {Object} options - { force: rotate even if the active key is still fresh }
+ * @returns {Promise<Object|null>} The new key, or null if no rotation was needed
+ */
+const rotateKeys = async ({ force = false } = {}) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('signing_key_rotation'))");
+
+    // Re-check under the lock: another instance may have rotated already
+    const activeResult = await client.query(
+      `SELECT * FROM signing_keys
+       WHERE retired_at IS NULL AND algorithm = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [JWT_ALGORITHM]
+    );
+    const activeKey = activeResult.rows[0];
+
+    const rotationDue = !activeKey || (
+      KEY_ROTATION_DAYS > 0 &&
+      Date.now() - new Date(activeKey.created_at).getTime() >= KEY_ROTATION_DAYS * 86400 * 1000
+    );
+
+    if (!force && !rotationDue) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    await client.query(
+      `UPDATE signing_keys
+       SET retired_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + make_interval(secs => $1::FLOAT8)
+       WHERE retired_at IS NULL`,
+      [KEY_GRACE_HOURS * 3600]
+    );
+
+    const material = generateKeyMaterial(JWT_ALGORITHM);
+    const result = await client.query(
+      `INSERT INTO signing_keys (kid, algorithm, secret, private_key, public_key)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [crypto.randomUUID(), JWT_ALGORITHM, material.secret, material.private_key, material.public_key]
+    );
+
+    await client.query('COMMIT');
+    cachedKeys = null;
+
+    console.log(`Rotated JWT signing key, new kid: ${result.rows[0].kid} (${JWT_ALGORITHM})`);
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error rotating signing keys:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the key used to sign new tokens, creating one if none exists yet
+ * @returns {Promise<Object>} Signing key row
+ */
+const getSigningKey = async () => {
+  const activeKey = findActiveKey(await loadKeys());
+
+  if (activeKey) {
+    return activeKey;
+  }
+
+  await rotateKeys();
+  return findActiveKey(await loadKeys(true));
+};
+
+/**
+ * Get a key that may verify a token
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object|null>} Signing key row or null if unknown or expired
+ */
+const getVerificationKey = async (kid) => {
+  let key = (await loadKeys()).find(candidate => candidate.kid === kid);
+
+  if (!key) {
+    // The key may have been created by another instance since the cache was filled
+    key = (await loadKeys(true)).find(candidate => candidate.kid === kid);
+  }
+
+  return key || null;
+};
+
+/**
+ * Sign a payload with the active key
+ * @param {Object} payload - Token claims
+ * @param {Object} options - { expiresIn: duration such as "15m" }
+ * @returns {Promise<string>} Signed JWT
+ */
+const sign = async (payload, { expiresIn }) => {
+  const key = await getSigningKey();
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat, exp: iat + parseDuration(expiresIn) };
+
+  if (key.algorithm === 'EdDSA') {
+    // jsonwebtoken has no EdDSA support, so Ed25519 tokens are assembled here
+    const header = Buffer.from(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid: key.kid })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), key.private_key).toString('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  return jwt.sign(claims, key.secret || key.private_key, {
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Check whether a token was signed with the legacy JWT_SECRET (it has no key id)
+ * @param {string} token - JWT
+ * @returns {boolean} True for legacy tokens, when JWT_SECRET is still set
+ */
+const isLegacyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  return Boolean(LEGACY_JWT_SECRET && decoded && !decoded.header.kid);
+};
+
+/**
+ * Verify a token against the key named in its header
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} Decoded payload
+ * @throws {jwt.JsonWebTokenError} If the token is malformed, unsigned by a known key or expired
+ */
+const verify = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid, alg } = decoded.header;
+
+  if (!kid) {
+    if (!LEGACY_JWT_SECRET) {
+      throw new jwt.JsonWebTokenError('token has no key id');
+    }
+    return jwt.verify(token, LEGACY_JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const key = await getVerificationKey(kid);
+
+  if (!key || key.algorithm !== alg) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  if (key.algorithm === 'EdDSA') {
+    const [header, body, signature] = token.split('.');
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${header}.${body}`),
+      key.public_key,
+      Buffer.from(signature, 'base64url')
+    );
+
+    if (!valid) {
+      throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    if (typeof decoded.payload.exp === 'number' && decoded.payload.exp <= Math.floor(Date.now() / 1000)) {
+      throw new jwt.TokenExpiredError('jwt expired', new Date(decoded.payload.exp * 1000));
+    }
+
+    return decoded.payload;
+  }
+
+  return jwt.verify(token, key.secret || key.public_key, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Build the JSON Web Key Set of public keys that can still verify tokens.
+ * HMAC secrets are never published.
+ * @returns {Promise<Object>} { keys: [...] }
+ */
+const getJwks = async () => {
+  const keys = (await loadKeys()).filter(key => key.public_key);
+
+  return {
+    keys: keys.map(key => ({
+      ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+/**
+ * Periodically rotate the signing key once it is older than JWT_KEY_ROTATION_DAYS
+ * @returns {NodeJS.Timeout|null} Interval handle, or null when rotation is disabled
+ */
+const startRotationSchedule = () => {
+  if (KEY_ROTATION_DAYS <= 0) {
+    console.log('JWT signing key rotation disabled');
+    return null;
+  }
+
+  const check = () => rotateKeys().catch(error => {
+    console.error('Scheduled signing key rotation failed:', error.message);
+  });
+
+  check();
+  const interval = setInterval(check, ROTATION_CHECK_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  sign,
+  verify,
+  getJwks,
+  rotateKeys,
+  startRotationSchedule,
+  parseDuration,
+  isLegacyToken
+};
@@ -0,0 +1,70 @@
+const { hasPermission } = require('./permissions');
+
+/**
+ * Listing lifecycle states and the transitions owners can make between them
+ */
+
+const LISTING_STATUSES = ['draft', 'published', 'under_offer', 'sold', 'archived'];
+
+// Statuses shown to everyone; the others are only visible to the owner and moderators
+const PUBLIC_LISTING_STATUSES = ['published'];
+
+// Statuses a new listing can be created in
+const INITIAL_LISTING_STATUSES = ['draft', 'published'];
+
+const STATUS_TRANSITIONS = {
+  draft: ['published', 'archived'],
+  published: ['draft', 'under_offer', 'sold', 'archived'],
+  under_offer: ['published', 'sold', 'archived'],
+  sold: ['archived'],
+  archived: ['draft']
+};
+
+/**
+ * Check whether a listing can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether a listing accepts new votes
+ * @param {string} status - Listing status
+ * @returns {boolean} True only while the listing is published
+ */
+const isVotingOpen = (status) => status === 'published';
+
+/**
+ * SQL condition limiting a query to the listings a user can see: public ones, their own and,
+ * for moderators, all of them
+ * @param {string} alias - Alias of the properties table in the query
+ * @param {Object|null} user - Requesting user, if any
+ * @param {Array} params - Query parameters, extended in place
+ * @returns {string} SQL condition
+ */
+const visibleListingCondition = (alias, user, params) => {
+  if (hasPermission(user, 'properties:update:any')) {
+    return 'TRUE';
+  }
+
+  params.push(PUBLIC_LISTING_STATUSES);
+  const publicCondition = `${alias}.status = ANY($${params.length})`;
+
+  if (!user) {
+    return publicCondition;
+  }
+
+  params.push(user.id);
+  return `(${publicCondition} OR ${alias}.user_id = $${params.length})`;
+};
+
+module.exports = {
+  LISTING_STATUSES,
+  PUBLIC_LISTING_STATUSES,
+  INITIAL_LISTING_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  isVotingOpen,
+  visibleListingCondition
+};
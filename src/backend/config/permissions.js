@@ -0,0 +1,115 @@
+/**
+ * Role and permission definitions
+ * Permissions are "resource:action" strings. Actions that depend on who owns the
+ * resource come in two forms: ":own" for the caller's own records and ":any" for everyone's.
+ */
+
+const ROLES = ['admin', 'moderator', 'owner', 'member'];
+
+// Role every user holds without it being stored
+const DEFAULT_ROLE = 'member';
+
+const ROLE_PERMISSIONS = {
+  member: [
+    'users:update:own',
+    'users:delete:own',
+    'properties:create',
+    'votes:create',
+    'votes:delete:own',
+    'roles:read:own',
+    'api_keys:revoke:own'
+  ],
+  owner: [
+    'properties:update:own',
+    'properties:delete:own',
+    'property_images:write:own'
+  ],
+  moderator: [
+    'users:unlock',
+    'security_events:read',
+    'properties:update:any',
+    'properties:delete:any',
+    'property_images:write:any',
+    'votes:delete:any',
+    'api_keys:revoke:any'
+  ],
+  // Admins hold every permission, including the admin-only users:list, users:read:any
+  // (private profile fields of other users), roles:manage and categories:write
+  admin: ['*']
+};
+
+/**
+ * API key scopes and the permissions each one allows.
+ * A key never gets more than its user's roles allow, and only acts on the user's own records.
+ */
+const API_KEY_SCOPES = {
+  'properties:write': [
+    'properties:create',
+    'properties:update:own',
+    'properties:delete:own',
+    'property_images:write:own'
+  ],
+  'votes:write': [
+    'votes:create',
+    'votes:delete:own'
+  ],
+  // Listing and vote reads are public today; the scopes let keys be issued for read-only use
+  'properties:read': [],
+  'votes:read': []
+};
+
+/**
+ * Collect the permissions granted by a set of roles
+ * @param {Array<string>} roles - Role names
+ * @returns {Set<string>} Granted permissions
+ */
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) {
+      permissions.add(permission);
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - User with a roles array
+ * @param {string} permission - Permission such as "users:list" or "properties:update:own"
+ * @returns {boolean} True if granted
+ */
+const hasPermission = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+
+  // API key callers are further limited to what the key's scopes allow
+  if (user.scopes && !user.scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission))) {
+    return false;
+  }
+
+  const permissions = getPermissionsForRoles(user.roles);
+
+  if (permissions.has('*') || permissions.has(permission)) {
+    return true;
+  }
+
+  // Being allowed to act on anyone's records includes the caller's own
+  if (permission.endsWith(':own')) {
+    return permissions.has(permission.replace(/:own$/, ':any'));
+  }
+
+  return false;
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  getPermissionsForRoles,
+  hasPermission
+};
@@ -1,91 +1,279 @@
-const { admin } = require('../config/firebase');
+const jwt = require('jsonwebtoken');
 const UserModel = require('../models/userModel');
+const RoleModel = require('../models/roleModel');
+const SessionModel = require('../models/sessionModel');
+const ApiKeyModel = require('../models/apiKeyModel');
+const { verifyAccessToken } = require('../config/auth');
+const { serializeUser } = require('../serializers/userSerializer');
 
 /**
- * Middleware to check if user is authenticated
- * Verifies Firebase token and attaches user to request
+ * Authentication strategies
+ * Each strategy turns a credential (and its request) into the database user record, so every
+ * route sees the same req.user shape no matter how the caller signed in.
+ * Enabled strategies are configured with AUTH_STRATEGIES (comma separated, tried in order).
+ * API keys are only accepted by routes using authenticateClient.
  */
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized', message: 'No token provided' });
+
+/**
+ * Create an error whose message is safe to return to the client
+ * @param {string} message - Client facing message
+ * @returns {Error} Authentication error
+ */
+const authError = (message) => {
+  const error = new Error(message);
+  error.isAuthError = true;
+  return error;
+};
+
+/**
+ * Check whether a token was issued by Firebase Authentication
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for Firebase ID tokens
+ */
+const isFirebaseToken = (token) => {
+  const payload = jwt.decode(token);
+  return Boolean(payload && typeof payload.iss === 'string' &&
+    payload.iss.startsWith('https://securetoken.google.com/'));
+};
+
+const strategies = {
+  /**
+   * Local access tokens issued by /auth/login and /auth/register
+   */
+  jwt: {
+    canHandle: (token) => !isFirebaseToken(token) && !ApiKeyModel.isApiKey(token),
+    async authenticate(token, req) {
+      const decodedToken = await verifyAccessToken(token);
+
+      if (!decodedToken) {
+        throw authError('Session has been revoked');
+      }
+
+      // Legacy JWT_SECRET tokens have no session
+      if (decodedToken.sid) {
+        await SessionModel.touchSession(decodedToken.sid, { ip_address: req.ip });
+      }
+
+      const user = await UserModel.getUserById(decodedToken.id);
+
+      return {
+        user,
+        auth: { strategy: 'jwt', sessionId: decodedToken.sid || null }
+      };
+    }
+  },
+
+  /**
+   * Firebase ID tokens from the client SDK
+   */
+  firebase: {
+    canHandle: (token) => isFirebaseToken(token),
+    async authenticate(token) {
+      // Loaded lazily so deployments without Firebase never initialise the Admin SDK
+      const { admin } = require('../config/firebase');
+      const decodedToken = await admin.auth().verifyIdToken(token);
+      let user = await UserModel.getUserByFirebaseUid(decodedToken.uid);
+
+      // Firebase already proved the address belongs to the user
+      if (user && decodedToken.email_verified && !user.email_verified_at &&
+          decodedToken.email === user.email) {
+        user = await UserModel.markEmailVerified(user.id);
+      }
+
+      return {
+        user,
+        auth: { strategy: 'firebase', sessionId: null }
+      };
+    }
+  },
+
+  /**
+   * Scoped API keys for partner integrations (X-API-Key header or Bearer mk_...)
+   */
+  api_key: {
+    canHandle: (token) => ApiKeyModel.isApiKey(token),
+    async authenticate(token, req) {
+      const apiKey = await ApiKeyModel.findActiveKey(token);
+
+      if (!apiKey) {
+        throw authError('Invalid, expired or revoked API key');
+      }
+
+      await ApiKeyModel.touchKey(apiKey.id, req.ip);
+      const user = await UserModel.getUserById(apiKey.user_id);
+
+      return {
+        user,
+        scopes: apiKey.scopes,
+        auth: { strategy: 'api_key', sessionId: null, apiKeyId: apiKey.id }
+      };
     }
-    
-    const token = authHeader.split('Bearer ')[1];
-    
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    const { uid: firebaseUid } = decodedToken;
-    
-    // Get user from database
-    const user = await UserModel.getUserByFirebaseUid(firebaseUid);
-    
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'Unauthorized', 
-        message: 'User not found in database' 
+  }
+};
+
+const enabledStrategies = (process.env.AUTH_STRATEGIES || 'jwt,firebase,api_key')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const unknownStrategies = enabledStrategies.filter(name => !strategies[name]);
+
+if (unknownStrategies.length > 0) {
+  throw new Error(`Unknown AUTH_STRATEGIES: ${unknownStrategies.join(', ')}`);
+}
+
+/**
+ * Read the credential sent with a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Bearer token or API key
+ */
+const getCredential = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.split('Bearer ')[1];
+};
+
+/**
+ * Resolve the caller of a request through the enabled strategies
+ * @param {Object} req - Express request object
+ * @param {Object} options - { allowApiKeys }
+ * @returns {Promise<Object|null>} { user, auth } or null if no credentials were sent
+ * @throws {Error} If credentials were sent but are not valid
+ */
+const resolveRequestUser = async (req, { allowApiKeys = false } = {}) => {
+  const token = getCredential(req);
+
+  if (!token) {
+    return null;
+  }
+
+  const strategyName = enabledStrategies.find(name => strategies[name].canHandle(token));
+
+  if (!strategyName) {
+    throw authError('Unsupported token type');
+  }
+
+  if (strategyName === 'api_key' && !allowApiKeys) {
+    throw authError('API keys are not accepted for this endpoint');
+  }
+
+  const result = await strategies[strategyName].authenticate(token, req);
+
+  if (!result.user) {
+    throw authError('User not found in database');
+  }
+
+  // req.user carries the full account state (the admin view) but never password or TOTP secrets
+  const user = serializeUser(result.user, 'admin');
+  user.roles = await RoleModel.getUserRoles(user.id);
+
+  if (result.scopes) {
+    user.scopes = result.scopes;
+  }
+
+  return {
+    user,
+    auth: result.auth
+  };
+};
+
+/**
+ * Map an authentication failure to a client facing message
+ * @param {Error} error - Error raised while authenticating
+ * @returns {string} Message
+ */
+const describeAuthError = (error) => {
+  if (error.isAuthError) {
+    return error.message;
+  }
+
+  if (error.code === 'auth/id-token-expired' || error.name === 'TokenExpiredError') {
+    return 'Token expired';
+  }
+
+  return 'Invalid token';
+};
+
+/**
+ * Build an authentication middleware
+ * @param {Object} options - { allowApiKeys }
+ * @returns {Function} Express middleware
+ */
+const createAuthenticate = (options) => async (req, res, next) => {
+  try {
+    const resolved = await resolveRequestUser(req, options);
+
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'No token provided'
       });
     }
-    
-    // Attach user to request object for use in routes
-    req.user = user;
-    
+
+    // Attach user and how they authenticated to the request for use in routes
+    req.user = resolved.user;
+    req.auth = resolved.auth;
+
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
-    
-    if (error.code === 'auth/id-token-expired') {
-      return res.status(401).json({ 
-        error: 'Unauthorized', 
-        message: 'Token expired' 
-      });
+    if (!error.isAuthError) {
+      console.error('Authentication error:', error);
     }
-    
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'Invalid token' 
+
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: describeAuthError(error)
     });
   }
 };
 
+/**
+ * Middleware to check if user is authenticated
+ * Accepts the enabled user login strategies and attaches the database user to the request
+ */
+const authenticate = createAuthenticate({ allowApiKeys: false });
+
+/**
+ * Like authenticate, but also accepts API keys. Permissions of API key callers
+ * are limited to the key's scopes (req.user.scopes).
+ */
+const authenticateClient = createAuthenticate({ allowApiKeys: true });
+
 /**
  * Optional authentication middleware
- * Tries to authenticate user but continues if token is not provided
+ * Tries to authenticate user but continues if token is not provided or invalid
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      // Continue without authentication
-      return next();
-    }
-    
-    const token = authHeader.split('Bearer ')[1];
-    
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    const { uid: firebaseUid } = decodedToken;
-    
-    // Get user from database
-    const user = await UserModel.getUserByFirebaseUid(firebaseUid);
-    
-    if (user) {
+    const resolved = await resolveRequestUser(req);
+
+    if (resolved) {
       // Attach user to request object
-      req.user = user;
+      req.user = resolved.user;
+      req.auth = resolved.auth;
     }
-    
+
     next();
   } catch (error) {
     // Continue without authentication if token is invalid
-    console.error('Optional authentication error:', error);
+    console.error('Optional authentication error:', describeAuthError(error));
     next();
   }
 };
 
 module.exports = {
   authenticate,
-  optionalAuth
-};
\ No newline at end of file
+  authenticateClient,
+  optionalAuth,
+  resolveRequestUser
+};
@@ -0,0 +1,112 @@
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Authorization middleware
+ * Must run after authenticate so req.user (with its roles) is populated.
+ */
+
+/**
+ * Send a 403 response
+ */
+const forbidden = (res, message = "You don't have permission to perform this action") => {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message
+  });
+};
+
+/**
+ * Send a 401 response
+ */
+const unauthorized = (res) => {
+  return res.status(401).json({
+    success: false,
+    error: 'Unauthorized',
+    message: 'Authentication required'
+  });
+};
+
+/**
+ * Require the caller to hold at least one of the given roles
+ * @param {...string} roles - Accepted role names
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorized(res);
+    }
+
+    const userRoles = req.user.roles || [];
+
+    if (!roles.some(role => userRoles.includes(role))) {
+      return forbidden(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require the caller to hold a permission.
+ * With an ownerOf resolver, "resource:action:any" grants access to every record and
+ * "resource:action:own" grants access when the caller owns the targeted record.
+ * @param {string} permission - Permission such as "users:list" or "properties:update"
+ * @param {Object} options - { ownerOf: async (req) => owner user ID or null }
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, { ownerOf } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return unauthorized(res);
+      }
+
+      if (hasPermission(req.user, permission) || hasPermission(req.user, `${permission}:any`)) {
+        return next();
+      }
+
+      if (ownerOf && hasPermission(req.user, `${permission}:own`)) {
+        const ownerId = await ownerOf(req);
+
+        if (ownerId !== null && ownerId !== undefined && Number(ownerId) === Number(req.user.id)) {
+          return next();
+        }
+      }
+
+      return forbidden(res);
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check permissions',
+        message: error.message
+      });
+    }
+  };
+};
+
+/**
+ * Require the caller to have verified their email address
+ * @returns {Function} Express middleware
+ */
+const requireVerifiedEmail = () => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorized(res);
+    }
+
+    if (!req.user.email_verified_at) {
+      return forbidden(res, 'Please verify your email address first');
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail
+};
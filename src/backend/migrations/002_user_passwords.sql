@@ -0,0 +1,5 @@
+-- Adds password storage for locally registered users
+-- Firebase-only accounts keep a NULL password_hash and cannot use /auth/login
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
@@ -0,0 +1,15 @@
+-- Adds persistent JWT signing keys so tokens survive restarts and work across instances
+-- retired_at: key no longer signs new tokens; expires_at: key no longer verifies tokens
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+  kid VARCHAR(64) PRIMARY KEY,
+  algorithm VARCHAR(10) NOT NULL,
+  secret TEXT,
+  private_key TEXT,
+  public_key TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP,
+  expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_created_at ON signing_keys(created_at);
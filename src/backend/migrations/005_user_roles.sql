@@ -0,0 +1,15 @@
+-- Adds role-based access control
+-- Every user implicitly holds the member role; only granted roles are stored here
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'moderator', 'owner', 'member')),
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, role)
+);
+
+-- Users who already have listings become owners
+INSERT INTO user_roles (user_id, role)
+SELECT DISTINCT user_id, 'owner' FROM properties WHERE user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
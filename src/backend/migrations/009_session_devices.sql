@@ -0,0 +1,8 @@
+-- Records the device behind each session so users can review and revoke their logins
+-- ip_address and last_seen_at follow the device as it keeps using the session
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent VARCHAR(512);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE user_sessions SET last_seen_at = created_at WHERE last_seen_at IS NULL;
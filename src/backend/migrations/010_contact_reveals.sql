@@ -0,0 +1,14 @@
+-- Logs every reveal of a property owner's contact details
+-- Used for the per-user daily reveal limit and to show owners who viewed their contact information
+
+CREATE TABLE IF NOT EXISTS contact_reveals (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  viewer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_reveals_viewer ON contact_reveals(viewer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_reveals_owner ON contact_reveals(owner_id, created_at);
@@ -0,0 +1,8 @@
+-- Keeps other users' data intact when an account is erased
+-- Votes survive anonymised so property statistics stay correct; listings can be kept without an owner
+
+ALTER TABLE votes DROP CONSTRAINT IF EXISTS votes_user_id_fkey;
+ALTER TABLE votes ADD CONSTRAINT votes_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE properties DROP CONSTRAINT IF EXISTS properties_user_id_fkey;
+ALTER TABLE properties ADD CONSTRAINT properties_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
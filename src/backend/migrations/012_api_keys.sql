@@ -0,0 +1,19 @@
+-- Adds scoped API keys for partner integrations (e.g. estate agencies pushing listings)
+-- Keys look like mk_<prefix>_<secret>; only the prefix and a SHA-256 hash of the whole key are stored
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  organization VARCHAR(255),
+  key_prefix VARCHAR(16) UNIQUE NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
@@ -0,0 +1,11 @@
+-- Adds full-text search over listings
+-- search_vector is generated from the listing text (title weighted highest), so it never goes stale
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(location, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_properties_search_vector ON properties USING GIN (search_vector);
@@ -0,0 +1,13 @@
+-- Adds map coordinates to listings for radius and bounding box search
+-- Plain columns keep PostGIS optional; see GEO_BACKEND in the README
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+ALTER TABLE properties DROP CONSTRAINT IF EXISTS properties_coordinates_check;
+ALTER TABLE properties ADD CONSTRAINT properties_coordinates_check CHECK (
+  (latitude IS NULL AND longitude IS NULL) OR
+  (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+);
+
+CREATE INDEX IF NOT EXISTS idx_properties_coordinates ON properties(latitude, longitude);
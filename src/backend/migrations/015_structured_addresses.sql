@@ -0,0 +1,57 @@
+-- Adds structured address fields to listings so they can be filtered by country, region and city
+-- location stays the display text. Existing values are parsed best-effort (see utils/address.js parseLocation)
+-- and only listings with no structured fields yet are touched, so re-running is safe
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS country VARCHAR(2);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS district VARCHAR(100);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS postcode VARCHAR(20);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS street VARCHAR(255);
+
+-- "City, ST" and "City, ST 12345" with a US state code
+UPDATE properties
+SET city = regexp_replace(TRIM(split_part(location, ',', 1)), '\s+', ' ', 'g'),
+    region = UPPER(substring(split_part(location, ',', 2) from '[A-Za-z]{2}')),
+    postcode = substring(split_part(location, ',', 2) from '(\d{5}(-\d{4})?)'),
+    country = 'US'
+WHERE country IS NULL AND region IS NULL AND city IS NULL
+  AND location ~ '^\s*[^,]+,\s*[A-Za-z]{2}(\s+\d{5}(-\d{4})?)?\s*$'
+  AND UPPER(substring(split_part(location, ',', 2) from '[A-Za-z]{2}')) IN (
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+  );
+
+-- "City, Region, Country" with a known country name
+UPDATE properties
+SET city = regexp_replace(TRIM(split_part(location, ',', 1)), '\s+', ' ', 'g'),
+    region = regexp_replace(TRIM(split_part(location, ',', 2)), '\s+', ' ', 'g'),
+    country = CASE LOWER(TRIM(split_part(location, ',', 3)))
+      WHEN 'nigeria' THEN 'NG'
+      WHEN 'ghana' THEN 'GH'
+      WHEN 'kenya' THEN 'KE'
+      WHEN 'south africa' THEN 'ZA'
+      WHEN 'canada' THEN 'CA'
+      WHEN 'united kingdom' THEN 'GB'
+      WHEN 'uk' THEN 'GB'
+      WHEN 'great britain' THEN 'GB'
+      WHEN 'england' THEN 'GB'
+      ELSE 'US'
+    END
+WHERE country IS NULL AND region IS NULL AND city IS NULL
+  AND location ~ '^\s*[^,]+,\s*[^,]+,\s*[^,]+$'
+  AND LOWER(TRIM(split_part(location, ',', 3))) IN (
+    'nigeria', 'ghana', 'kenya', 'south africa', 'canada', 'united kingdom', 'uk', 'great britain',
+    'england', 'united states', 'united states of america', 'usa', 'u.s.', 'u.s.a.'
+  );
+
+-- Any other "City, Region"
+UPDATE properties
+SET city = regexp_replace(TRIM(split_part(location, ',', 1)), '\s+', ' ', 'g'),
+    region = regexp_replace(TRIM(split_part(location, ',', 2)), '\s+', ' ', 'g')
+WHERE country IS NULL AND region IS NULL AND city IS NULL
+  AND location ~ '^\s*[^,]*\S[^,]*,\s*[^,]*\S[^,]*$';
+
+CREATE INDEX IF NOT EXISTS idx_properties_country_region ON properties(country, LOWER(region));
+CREATE INDEX IF NOT EXISTS idx_properties_city ON properties(LOWER(city));
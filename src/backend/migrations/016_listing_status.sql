@@ -0,0 +1,12 @@
+-- Adds a lifecycle status to listings (see config/listingStatus.js for the allowed transitions)
+-- Existing listings stay visible as published
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published';
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE properties DROP CONSTRAINT IF EXISTS properties_status_check;
+ALTER TABLE properties ADD CONSTRAINT properties_status_check CHECK (
+  status IN ('draft', 'published', 'under_offer', 'sold', 'archived')
+);
+
+CREATE INDEX IF NOT EXISTS idx_properties_status ON properties(status);
@@ -0,0 +1,17 @@
+-- Keeps the history of every listing: each revision stores a full snapshot of the listing
+-- fields and image set, who made the change and what changed since the previous revision
+
+CREATE TABLE IF NOT EXISTS property_revisions (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'images', 'status', 'revert')),
+  snapshot JSONB NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  reverted_from INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (property_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_revisions_user_id ON property_revisions(user_id);
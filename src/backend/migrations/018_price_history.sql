@@ -0,0 +1,22 @@
+-- Records every change of a listing's asking price (current_worth) with its author
+-- previous_worth and price_changed_at on properties mirror the latest change so listings can show it without a join
+
+CREATE TABLE IF NOT EXISTS property_price_history (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  previous_worth DECIMAL(15, 2),
+  current_worth DECIMAL(15, 2),
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_price_history_property_id ON property_price_history(property_id, changed_at);
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS previous_worth DECIMAL(15, 2);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS price_changed_at TIMESTAMP;
+
+-- Existing listings start their history with the price they have now, dated at creation
+INSERT INTO property_price_history (property_id, user_id, previous_worth, current_worth, changed_at)
+SELECT p.id, p.user_id, NULL, p.current_worth, p.created_at
+FROM properties p
+WHERE NOT EXISTS (SELECT 1 FROM property_price_history h WHERE h.property_id = p.id);
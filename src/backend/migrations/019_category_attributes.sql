@@ -0,0 +1,41 @@
+-- Adds category attribute schemas (see utils/attributes.js for the format) and the structured
+-- attributes of listings. The default schemas have no required attributes so existing clients keep working,
+-- and only categories without a schema yet are touched, so re-running is safe
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS attribute_schema JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+
+-- Serves the attr[name]=value filters, which match with @>
+CREATE INDEX IF NOT EXISTS idx_properties_attributes ON properties USING GIN (attributes jsonb_path_ops);
+
+UPDATE categories SET attribute_schema = '{
+  "property_type": { "type": "enum", "label": "Property type", "values": ["house", "apartment", "condo", "townhouse", "duplex"] },
+  "bedrooms": { "type": "integer", "label": "Bedrooms", "min": 0, "max": 100 },
+  "bathrooms": { "type": "integer", "label": "Bathrooms", "min": 0, "max": 100 },
+  "floor_area": { "type": "number", "label": "Floor area", "unit": "m2", "min": 0 },
+  "furnished": { "type": "boolean", "label": "Furnished" }
+}'
+WHERE name = 'Residential' AND attribute_schema = '{}';
+
+UPDATE categories SET attribute_schema = '{
+  "use": { "type": "enum", "label": "Use", "values": ["office", "retail", "warehouse", "industrial", "hospitality", "mixed_use"] },
+  "floor_area": { "type": "number", "label": "Floor area", "unit": "m2", "min": 0 },
+  "floors": { "type": "integer", "label": "Floors", "min": 1, "max": 200 },
+  "parking_spaces": { "type": "integer", "label": "Parking spaces", "min": 0 }
+}'
+WHERE name = 'Commercial' AND attribute_schema = '{}';
+
+UPDATE categories SET attribute_schema = '{
+  "plot_size": { "type": "number", "label": "Plot size", "unit": "m2", "min": 0 },
+  "zoning": { "type": "enum", "label": "Zoning", "values": ["residential", "commercial", "industrial", "agricultural", "mixed_use"] },
+  "road_access": { "type": "boolean", "label": "Road access" }
+}'
+WHERE name = 'Land' AND attribute_schema = '{}';
+
+UPDATE categories SET attribute_schema = '{
+  "material_type": { "type": "string", "label": "Material", "max_length": 100 },
+  "quantity": { "type": "number", "label": "Quantity", "min": 0 },
+  "unit": { "type": "enum", "label": "Unit", "values": ["piece", "bag", "kg", "tonne", "m", "m2", "m3", "litre"] },
+  "condition": { "type": "enum", "label": "Condition", "values": ["new", "used", "reclaimed"] }
+}'
+WHERE name = 'Material' AND attribute_schema = '{}';
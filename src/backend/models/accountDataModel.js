@@ -0,0 +1,133 @@
+const db = require('../config/db');
+
+const LISTING_ERASURE_POLICIES = ['delete', 'anonymize'];
+
+/**
+ * Account data model for exporting everything stored about a user
+ * and erasing an account without damaging other users' data
+ */
+const AccountDataModel = {
+  LISTING_ERASURE_POLICIES,
+
+  /**
+   * Collect a user's personal data for export
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} { user, properties, property_images, votes } or null if the user does not exist
+   */
+  async collectExportData(userId) {
+    try {
+      const userResult = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+
+      if (userResult.rows.length === 0) {
+        return null;
+      }
+
+      const propertiesResult = await db.query(
+        `SELECT p.id, p.title, p.description, p.location, c.name AS category_name,
+                p.current_worth, p.year_of_construction, p.attributes, p.created_at, p.updated_at
+         FROM properties p
+         LEFT JOIN categories c ON p.category_id = c.id
+         WHERE p.user_id = $1
+         ORDER BY p.created_at ASC`,
+        [userId]
+      );
+
+      const imagesResult = await db.query(
+        `SELECT pi.id, pi.property_id, pi.image_url, pi.is_primary, pi.created_at
+         FROM property_images pi
+         JOIN properties p ON pi.property_id = p.id
+         WHERE p.user_id = $1
+         ORDER BY pi.property_id ASC, pi.created_at ASC`,
+        [userId]
+      );
+
+      const votesResult = await db.query(
+        `SELECT v.id, v.property_id, p.title AS property_title,
+                vo.name AS vote_option_name, v.created_at
+         FROM votes v
+         LEFT JOIN properties p ON v.property_id = p.id
+         LEFT JOIN vote_options vo ON v.vote_option_id = vo.id
+         WHERE v.user_id = $1
+         ORDER BY v.created_at ASC`,
+        [userId]
+      );
+
+      return {
+        user: userResult.rows[0],
+        properties: propertiesResult.rows,
+        property_images: imagesResult.rows,
+        votes: votesResult.rows
+      };
+    } catch (error) {
+      console.error('Error collecting export data:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Erase a user account.
+   * Votes are kept without their voter so property statistics survive; listings are
+   * deleted or kept without an owner depending on the policy. Everything else owned
+   * by the user (sessions, tokens, roles, ...) is removed by the foreign keys.
+   * @param {number} userId - User ID
+   * @param {Object} options - { listingPolicy: 'delete' | 'anonymize' }
+   * @returns {Promise<Object|null>} Summary of what was erased, or null if the user does not exist
+   */
+  async eraseAccount(userId, { listingPolicy = 'delete' } = {}) {
+    if (!LISTING_ERASURE_POLICIES.includes(listingPolicy)) {
+      throw new Error(`Unknown listing erasure policy: ${listingPolicy}`);
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT id, email FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const user = userResult.rows[0];
+
+      const votesResult = await client.query(
+        'UPDATE votes SET user_id = NULL WHERE user_id = $1',
+        [userId]
+      );
+
+      const listingsResult = listingPolicy === 'delete'
+        ? await client.query('DELETE FROM properties WHERE user_id = $1', [userId])
+        : await client.query(
+          'UPDATE properties SET user_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+          [userId]
+        );
+
+      // Login attempts are keyed by email rather than user
+      await client.query('DELETE FROM login_attempts WHERE email = $1', [user.email]);
+
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      await client.query('COMMIT');
+
+      return {
+        user_id: user.id,
+        votes_anonymized: votesResult.rowCount,
+        listings_deleted: listingPolicy === 'delete' ? listingsResult.rowCount : 0,
+        listings_anonymized: listingPolicy === 'anonymize' ? listingsResult.rowCount : 0
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error erasing account:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = AccountDataModel;
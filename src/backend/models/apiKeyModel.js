@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+const KEY_PATTERN = /^mk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - Raw API key
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Check whether a credential has the shape of a Mipripity API key
+ * @param {string} key - Credential
+ * @returns {boolean} True for mk_ keys
+ */
+const isApiKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+/**
+ * API key model for partner integration keys
+ */
+const ApiKeyModel = {
+  isApiKey,
+
+  /**
+   * Issue a new API key
+   * @param {number} userId - User the key acts as
+   * @param {Object} keyData - { name, organization, scopes, expires_at }
+   * @returns {Promise<Object>} Object with the stored apiKey and the raw key (shown once)
+   */
+  async createKey(userId, keyData) {
+    const { name, organization = null, scopes, expires_at = null } = keyData;
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `mk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    try {
+      const result = await db.query(
+        `INSERT INTO api_keys (user_id, name, organization, key_prefix, key_hash, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, name, organization, prefix, hashKey(key), scopes, expires_at]
+      );
+
+      return { apiKey: this.toPublic(result.rows[0]), key };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find the active key matching a raw API key
+   * @param {string} key - Raw API key
+   * @returns {Promise<Object|null>} Key row, or null if unknown, revoked or expired
+   */
+  async findActiveKey(key) {
+    const match = KEY_PATTERN.exec(key);
+
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const result = await db.query(
+        `SELECT * FROM api_keys
+         WHERE key_prefix = $1 AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+        [match[1]]
+      );
+
+      const apiKey = result.rows[0];
+
+      if (!apiKey || !crypto.timingSafeEqual(Buffer.from(apiKey.key_hash), Buffer.from(hashKey(key)))) {
+        return null;
+      }
+
+      return apiKey;
+    } catch (error) {
+      console.error('Error finding API key:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that a key was just used. Writes at most once a minute per key.
+   * @param {number} keyId - API key ID
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<void>}
+   */
+  async touchKey(keyId, ipAddress) {
+    try {
+      await db.query(
+        `UPDATE api_keys
+         SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+         WHERE id = $1
+           AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $3::INT))`,
+        [keyId, ipAddress, LAST_USED_RESOLUTION_SECONDS]
+      );
+    } catch (error) {
+      console.error('Error updating API key usage:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a key by ID
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object|null>} Key without its hash, or null if not found
+   */
+  async getKeyById(keyId) {
+    try {
+      const result = await db.query('SELECT * FROM api_keys WHERE id = $1', [keyId]);
+      return result.rows[0] ? this.toPublic(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the keys of a user, newest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Keys without their hashes
+   */
+  async listKeysForUser(userId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+
+      return result.rows.map(row => this.toPublic(row));
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a key
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object|null>} Revoked key, or null if it was not active
+   */
+  async revokeKey(keyId) {
+    try {
+      const result = await db.query(
+        `UPDATE api_keys
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING *`,
+        [keyId]
+      );
+
+      return result.rows[0] ? this.toPublic(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the hash from a key row before it is returned by the API
+   * @param {Object} row - Key row
+   * @returns {Object} Key without its hash
+   */
+  toPublic(row) {
+    const { key_hash, ...apiKey } = row;
+    return apiKey;
+  }
+};
+
+module.exports = ApiKeyModel;
@@ -117,14 +117,14 @@ const CategoryModel = {
    * @returns {Promise<Object>} Created category
    */
   async createCategory(categoryData) {
-    const { name, description } = categoryData;
+    const { name, description, attribute_schema = {} } = categoryData;
     
     try {
       const result = await db.query(
-        `INSERT INTO categories (name, description)
-         VALUES ($1, $2)
+        `INSERT INTO categories (name, description, attribute_schema)
+         VALUES ($1, $2, $3)
          RETURNING *`,
-        [name, description]
+        [name, description, attribute_schema]
       );
       
       return result.rows[0];
@@ -134,6 +134,50 @@ const CategoryModel = {
     }
   },
   
+  /**
+   * Replace the attribute schema of a category (see utils/attributes.js).
+   * Existing listings keep their attributes until they are next updated.
+   * @param {number} categoryId - Category ID
+   * @param {Object} attributeSchema - Validated schema
+   * @returns {Promise<Object|null>} Updated category or null if not found
+   */
+  async updateAttributeSchema(categoryId, attributeSchema) {
+    try {
+      const result = await db.query(
+        `UPDATE categories SET attribute_schema = $2
+         WHERE id = $1
+         RETURNING *`,
+        [categoryId, attributeSchema]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating category attribute schema:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the attribute schemas of the categories a listing query covers
+   * @param {Object} scope - { category_id, category } as in the listing filters; all categories when both are null
+   * @returns {Promise<Array<Object>>} Attribute schemas
+   */
+  async getAttributeSchemas({ category_id = null, category = null } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT attribute_schema FROM categories
+         WHERE ($1::int IS NULL OR id = $1)
+           AND ($2::text IS NULL OR LOWER(name) = LOWER($2))`,
+        [category_id, category]
+      );
+      
+      return result.rows.map(row => row.attribute_schema);
+    } catch (error) {
+      console.error('Error getting category attribute schemas:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Create a new vote option
    * @param {Object} optionData - Vote option data
@@ -0,0 +1,138 @@
+const db = require('../config/db');
+const { joinedUserColumns, extractJoinedUser } = require('../serializers/userSerializer');
+
+/**
+ * Contact reveal model for logging who viewed a property owner's contact details
+ */
+const ContactRevealModel = {
+  /**
+   * Record that a user revealed the owner contact of a property, unless they reached their limit.
+   * Repeat reveals of a property within the window are neither recorded nor counted.
+   * The check and insert run under a per-viewer advisory lock, so concurrent reveals cannot
+   * both pass the limit.
+   * @param {Object} revealData - { property_id, owner_id, viewer_id, ip_address }
+   * @param {Object} limits - { limit: properties per window, windowHours }
+   * @returns {Promise<string>} 'recorded', 'repeat' or 'limit_reached'
+   */
+  async recordReveal(revealData, { limit, windowHours }) {
+    const { property_id, owner_id, viewer_id, ip_address = null } = revealData;
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('contact_reveals'), $1)", [viewer_id]);
+
+      let outcome = 'recorded';
+
+      if (await this.hasRecentReveal(viewer_id, property_id, windowHours, client)) {
+        outcome = 'repeat';
+      } else if (await this.countRecentReveals(viewer_id, windowHours, client) >= limit) {
+        outcome = 'limit_reached';
+      } else {
+        await client.query(
+          `INSERT INTO contact_reveals (property_id, owner_id, viewer_id, ip_address)
+           VALUES ($1, $2, $3, $4)`,
+          [property_id, owner_id, viewer_id, ip_address]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return outcome;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error recording contact reveal:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Count the distinct properties a user revealed contacts for within a window
+   * @param {number} viewerId - Viewing user ID
+   * @param {number} windowHours - Window size in hours
+   * @param {Object} client - Database client or pool
+   * @returns {Promise<number>} Number of properties
+   */
+  async countRecentReveals(viewerId, windowHours, client = db) {
+    try {
+      const result = await client.query(
+        `SELECT COUNT(DISTINCT property_id) FROM contact_reveals
+         WHERE viewer_id = $1
+           AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $2::INT)`,
+        [viewerId, windowHours]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting contact reveals:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a user already revealed a property's contact within a window
+   * @param {number} viewerId - Viewing user ID
+   * @param {number} propertyId - Property ID
+   * @param {number} windowHours - Window size in hours
+   * @param {Object} client - Database client or pool
+   * @returns {Promise<boolean>} True if revealed recently
+   */
+  async hasRecentReveal(viewerId, propertyId, windowHours, client = db) {
+    try {
+      const result = await client.query(
+        `SELECT 1 FROM contact_reveals
+         WHERE viewer_id = $1 AND property_id = $2
+           AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $3::INT)
+         LIMIT 1`,
+        [viewerId, propertyId, windowHours]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error checking contact reveal:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List reveals of an owner's contact details, newest first
+   * @param {number} ownerId - Owner user ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} Object with reveals array (viewer as a public profile) and total count
+   */
+  async listRevealsForOwner(ownerId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    try {
+      const result = await db.query(
+        `SELECT cr.id, cr.property_id, cr.created_at,
+                p.title AS property_title,
+                ${joinedUserColumns('u', 'viewer')}
+         FROM contact_reveals cr
+         JOIN properties p ON cr.property_id = p.id
+         LEFT JOIN users u ON cr.viewer_id = u.id
+         WHERE cr.owner_id = $1
+         ORDER BY cr.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [ownerId, limit, offset]
+      );
+
+      const countResult = await db.query(
+        'SELECT COUNT(*) FROM contact_reveals WHERE owner_id = $1',
+        [ownerId]
+      );
+
+      return {
+        reveals: result.rows.map(row => extractJoinedUser(row, 'viewer')),
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing contact reveals:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = ContactRevealModel;
@@ -0,0 +1,136 @@
+const db = require('../config/db');
+
+/**
+ * Import job model for tracking bulk listing imports
+ */
+const ImportJobModel = {
+  /**
+   * Create an import job
+   * @param {Object} jobData - { user_id, format, dry_run, total_rows }
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(jobData) {
+    const { user_id, format, dry_run = false, total_rows } = jobData;
+
+    try {
+      const result = await db.query(
+        `INSERT INTO import_jobs (user_id, format, dry_run, total_rows)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [user_id, format, dry_run, total_rows]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a job as running
+   * @param {number} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async startJob(jobId) {
+    try {
+      await db.query(
+        `UPDATE import_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [jobId]
+      );
+    } catch (error) {
+      console.error('Error starting import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the progress of a running job
+   * @param {number} jobId - Job ID
+   * @param {Object} progress - { processed_rows, created_count, failed_count }
+   * @returns {Promise<void>}
+   */
+  async updateProgress(jobId, { processed_rows, created_count, failed_count }) {
+    try {
+      await db.query(
+        `UPDATE import_jobs SET processed_rows = $2, created_count = $3, failed_count = $4
+         WHERE id = $1`,
+        [jobId, processed_rows, created_count, failed_count]
+      );
+    } catch (error) {
+      console.error('Error updating import job progress:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Finish a job with its report
+   * @param {number} jobId - Job ID
+   * @param {Object} outcome - { status ('completed' or 'failed'), processed_rows, created_count, failed_count, report, error }
+   * @returns {Promise<Object>} Finished job
+   */
+  async finishJob(jobId, outcome) {
+    const { status, processed_rows, created_count, failed_count, report, error: failure = null } = outcome;
+
+    try {
+      const result = await db.query(
+        `UPDATE import_jobs
+         SET status = $2, processed_rows = $3, created_count = $4, failed_count = $5,
+             report = $6, error = $7, completed_at = CURRENT_TIMESTAMP,
+             started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+         WHERE id = $1
+         RETURNING *`,
+        [jobId, status, processed_rows, created_count, failed_count, report, failure]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error finishing import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an import job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    try {
+      const result = await db.query('SELECT * FROM import_jobs WHERE id = $1', [jobId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting import job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List a user's import jobs, newest first, without their reports
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs(userId, limit = 20) {
+    try {
+      const result = await db.query(
+        `SELECT id, user_id, status, dry_run, format, total_rows, processed_rows, created_count, failed_count,
+                error, created_at, started_at, completed_at
+         FROM import_jobs
+         WHERE user_id = $1
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2`,
+        [userId, limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing import jobs:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = ImportJobModel;
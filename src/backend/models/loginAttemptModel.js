@@ -0,0 +1,142 @@
+const db = require('../config/db');
+
+/**
+ * Login attempt model for tracking failed logins per account and per IP
+ */
+const LoginAttemptModel = {
+  /**
+   * Record a login attempt
+   * @param {Object} attempt - { email, ip_address, success }
+   * @returns {Promise<void>}
+   */
+  async recordAttempt({ email, ip_address, success }) {
+    try {
+      await db.query(
+        `INSERT INTO login_attempts (email, ip_address, success)
+         VALUES ($1, $2, $3)`,
+        [email, ip_address, success]
+      );
+    } catch (error) {
+      console.error('Error recording login attempt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count failed attempts from an IP within a time window
+   * @param {string} ipAddress - Client IP
+   * @param {number} windowMinutes - Window size in minutes
+   * @returns {Promise<number>} Number of failures
+   */
+  async countRecentIpFailures(ipAddress, windowMinutes) {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(*) FROM login_attempts
+         WHERE ip_address = $1 AND success = false
+           AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2::INT)`,
+        [ipAddress, windowMinutes]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting IP login failures:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count distinct accounts an IP failed to log into within a time window
+   * @param {string} ipAddress - Client IP
+   * @param {number} windowMinutes - Window size in minutes
+   * @returns {Promise<number>} Number of distinct emails
+   */
+  async countRecentIpTargets(ipAddress, windowMinutes) {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(DISTINCT email) FROM login_attempts
+         WHERE ip_address = $1 AND success = false
+           AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2::INT)`,
+        [ipAddress, windowMinutes]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting IP login targets:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Increment the failed login counter of a user and lock the account once the threshold is reached.
+   * A counter left over from an expired lock starts again from zero.
+   * @param {number} userId - User ID
+   * @param {number} threshold - Failures before lockout
+   * @param {number} lockMinutes - Lockout duration in minutes
+   * @returns {Promise<Object>} { failed_login_count, locked_until, locked_now }
+   */
+  async registerUserFailure(userId, threshold, lockMinutes) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT failed_login_count, locked_until FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+
+      const current = userResult.rows[0];
+      const lockExpired = current.locked_until && new Date(current.locked_until) <= new Date();
+      const failedCount = (lockExpired ? 0 : current.failed_login_count) + 1;
+      const lockedNow = failedCount >= threshold && (!current.locked_until || lockExpired);
+
+      const result = await client.query(
+        `UPDATE users
+         SET failed_login_count = $2,
+             last_failed_login_at = CURRENT_TIMESTAMP,
+             locked_until = CASE
+               WHEN $3 THEN CURRENT_TIMESTAMP + make_interval(mins => $4::INT)
+               WHEN $5 THEN NULL
+               ELSE locked_until
+             END
+         WHERE id = $1
+         RETURNING failed_login_count, locked_until`,
+        [userId, failedCount, lockedNow, lockMinutes, Boolean(lockExpired)]
+      );
+
+      await client.query('COMMIT');
+
+      return { ...result.rows[0], locked_now: lockedNow };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error registering failed login:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Clear the failed login counter and any lock of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Updated counters or null if the user does not exist
+   */
+  async resetUserFailures(userId) {
+    try {
+      const result = await db.query(
+        `UPDATE users
+         SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+         WHERE id = $1
+         RETURNING id, failed_login_count, locked_until`,
+        [userId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error resetting failed logins:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = LoginAttemptModel;
@@ -1,15 +1,319 @@
 const db = require('../config/db');
+const { joinedUserColumns, extractJoinedUser } = require('../serializers/userSerializer');
+const { buildTsQuery } = require('../utils/searchQuery');
+const { serializeProperty } = require('../serializers/propertySerializer');
+const { encodeCursor } = require('../utils/propertyQuery');
+const PropertyRevisionModel = require('./propertyRevisionModel');
+const PropertyPriceHistoryModel = require('./propertyPriceHistoryModel');
+const { ADDRESS_FIELDS, normalizeAddress, hasAddressFields, parseLocation } = require('../utils/address');
+const { validateAttributes, mergeAttributes } = require('../utils/attributes');
+
+// Expressions listings can be sorted by (keys match SORT_FIELDS in utils/propertyQuery.js;
+// distance is built per query from the search point)
+const SORT_EXPRESSIONS = {
+  created_at: 'p.created_at',
+  title: 'p.title',
+  location: 'p.location',
+  current_worth: 'p.current_worth',
+  year_of_construction: 'p.year_of_construction',
+  vote_count: '(SELECT COUNT(*) FROM votes WHERE property_id = p.id)'
+};
+
+// Fields updateProperty writes; everything else (owner, status, timestamps) has its own path
+const UPDATABLE_FIELDS = PropertyRevisionModel.REVERTABLE_FIELDS;
+
+// 'sql' computes distances with plain Postgres math; 'postgis' uses geography functions
+const GEO_BACKENDS = ['sql', 'postgis'];
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+
+// Code of the errors createProperty throws for data the caller has to fix
+const INVALID_PROPERTY = 'INVALID_PROPERTY';
+
+/**
+ * Build an error for invalid property data
+ * @param {string} reason - Short description, e.g. "Invalid attributes"
+ * @param {Array<string>} details - Individual problems
+ * @returns {Error} Error with code INVALID_PROPERTY, reason and details
+ */
+const invalidPropertyError = (reason, details = []) => Object.assign(
+  new Error(details.length > 0 ? `${reason}: ${details.join(', ')}` : reason),
+  { code: INVALID_PROPERTY, reason, details }
+);
+
+/**
+ * Whether distance queries should use PostGIS (read per call so .env is loaded first)
+ * @returns {boolean} True when GEO_BACKEND=postgis
+ */
+const usePostgis = () => process.env.GEO_BACKEND === 'postgis';
+
+/**
+ * SQL for the great-circle distance in kilometres between a listing and a point
+ * @param {string} lat - Placeholder holding the point latitude
+ * @param {string} lng - Placeholder holding the point longitude
+ * @returns {string} SQL expression (NULL for listings without coordinates)
+ */
+const distanceSql = (lat, lng) => {
+  if (usePostgis()) {
+    return `ST_Distance(geography(ST_MakePoint(p.longitude, p.latitude)),
+                        geography(ST_MakePoint(${lng}::float8, ${lat}::float8))) / 1000`;
+  }
+  
+  // Haversine; LEAST() guards ASIN against rounding just above 1
+  return `${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+            POWER(SIN(RADIANS(p.latitude - ${lat}::float8) / 2), 2) +
+            COS(RADIANS(${lat}::float8)) * COS(RADIANS(p.latitude)) *
+            POWER(SIN(RADIANS(p.longitude - ${lng}::float8) / 2), 2))))`;
+};
+
+/**
+ * SQL matching listings inside a bounding box
+ * @param {Object} bbox - { west, south, east, north }; west > east crosses the antimeridian
+ * @param {Function} param - Appends a value and returns its placeholder
+ * @returns {string} SQL condition
+ */
+const bboxSql = ({ west, south, east, north }, param) => {
+  const longitude = west <= east
+    ? `p.longitude BETWEEN ${param(west)} AND ${param(east)}`
+    : `(p.longitude >= ${param(west)} OR p.longitude <= ${param(east)})`;
+  
+  return `p.latitude BETWEEN ${param(south)} AND ${param(north)} AND ${longitude}`;
+};
+
+/**
+ * Bounding box around a radius search, so the btree index narrows rows before distances are computed
+ * @param {Object} near - { latitude, longitude, radius_km }
+ * @returns {Object} { west, south, east, north }; longitudes span everything near the poles
+ */
+const radiusBbox = ({ latitude, longitude, radius_km }) => {
+  const latDelta = radius_km / KM_PER_DEGREE_LATITUDE;
+  const south = Math.max(-90, latitude - latDelta);
+  const north = Math.min(90, latitude + latDelta);
+  const lngDelta = radius_km / (KM_PER_DEGREE_LATITUDE * Math.cos(latitude * Math.PI / 180));
+  
+  if (north >= 90 || south <= -90 || !Number.isFinite(lngDelta) || lngDelta >= 180) {
+    return { west: -180, south, east: 180, north };
+  }
+  
+  const wrap = (lng) => (lng < -180 ? lng + 360 : lng > 180 ? lng - 360 : lng);
+  
+  return { west: wrap(longitude - lngDelta), south, east: wrap(longitude + lngDelta), north };
+};
+
+// Default band boundaries for the price and year facets
+const PRICE_FACET_BOUNDARIES = [100000, 250000, 500000, 1000000, 5000000];
+const YEAR_FACET_BOUNDARIES = [1950, 1980, 2000, 2010, 2020];
+const LOCATION_FACET_LIMIT = 20;
+
+// Each voted listing with the vote option it received most (ties go to the first name)
+const TOP_VOTE_OPTIONS_SQL = `
+  SELECT DISTINCT ON (v.property_id) v.property_id, vo.name
+  FROM votes v
+  JOIN vote_options vo ON v.vote_option_id = vo.id
+  GROUP BY v.property_id, vo.name
+  ORDER BY v.property_id, COUNT(*) DESC, vo.name ASC`;
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} value - Raw text
+ * @returns {string} Text matching literally inside a LIKE pattern
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Build the WHERE conditions shared by property listing queries.
+ * Values are appended to params so callers can keep numbering placeholders after them.
+ * @param {Object} filters - Parsed filters (see utils/propertyQuery.js)
+ * @param {Array} params - Query parameters, extended in place
+ * @param {Object} options - { exclude: filter names to leave out }
+ * @returns {string} SQL conditions joined with AND ('TRUE' when there are none)
+ */
+const buildPropertyFilters = (filters = {}, params = [], { exclude = [] } = {}) => {
+  const conditions = [];
+  const isActive = (name) => filters[name] !== undefined && filters[name] !== null && !exclude.includes(name);
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  
+  // Full-text match on the indexed search_vector; input without searchable words matches nothing
+  if (isActive('search')) {
+    const tsQuery = buildTsQuery(filters.search);
+    conditions.push(tsQuery ? `p.search_vector @@ to_tsquery('english', ${param(tsQuery)})` : 'FALSE');
+  }
+  
+  if (isActive('category_id')) {
+    conditions.push(`p.category_id = ${param(filters.category_id)}`);
+  }
+  
+  if (isActive('category')) {
+    conditions.push(`p.category_id IN (SELECT id FROM categories WHERE LOWER(name) = LOWER(${param(filters.category)}))`);
+  }
+  
+  if (isActive('min_worth')) {
+    conditions.push(`p.current_worth >= ${param(filters.min_worth)}`);
+  }
+  
+  if (isActive('max_worth')) {
+    conditions.push(`p.current_worth <= ${param(filters.max_worth)}`);
+  }
+  
+  if (isActive('min_year')) {
+    conditions.push(`p.year_of_construction >= ${param(filters.min_year)}`);
+  }
+  
+  if (isActive('max_year')) {
+    conditions.push(`p.year_of_construction <= ${param(filters.max_year)}`);
+  }
+  
+  if (isActive('location')) {
+    conditions.push(`p.location ILIKE ${param(`%${escapeLike(filters.location)}%`)}`);
+  }
+  
+  if (isActive('user_id')) {
+    conditions.push(`p.user_id = ${param(filters.user_id)}`);
+  }
+  
+  if (isActive('status')) {
+    conditions.push(`p.status = ANY(${param(filters.status)})`);
+  }
+  
+  if (isActive('country')) {
+    conditions.push(`p.country = ${param(filters.country)}`);
+  }
+  
+  if (isActive('region')) {
+    conditions.push(`LOWER(p.region) = LOWER(${param(filters.region)})`);
+  }
+  
+  if (isActive('city')) {
+    conditions.push(`LOWER(p.city) = LOWER(${param(filters.city)})`);
+  }
+  
+  if (isActive('district')) {
+    conditions.push(`LOWER(p.district) = LOWER(${param(filters.district)})`);
+  }
+  
+  if (isActive('postcode')) {
+    conditions.push(`UPPER(p.postcode) = ${param(filters.postcode)}`);
+  }
+  
+  if (isActive('top_vote_option')) {
+    conditions.push(`p.id IN (SELECT t.property_id FROM (${TOP_VOTE_OPTIONS_SQL}) t WHERE LOWER(t.name) = LOWER(${param(filters.top_vote_option)}))`);
+  }
+  
+  // Typed filters from resolveAttributeFilters; equality uses the GIN index through @>
+  if (isActive('attributes')) {
+    for (const { name, values, min, max } of filters.attributes) {
+      if (values) {
+        const matches = values.map(value => `p.attributes @> ${param(JSON.stringify({ [name]: value }))}::jsonb`);
+        conditions.push(`(${matches.join(' OR ')})`);
+      }
+      
+      if (min !== null || max !== null) {
+        const key = `${param(name)}::text`;
+        const numeric = `(CASE WHEN jsonb_typeof(p.attributes -> ${key}) = 'number' THEN (p.attributes ->> ${key})::numeric END)`;
+        
+        if (min !== null) {
+          conditions.push(`${numeric} >= ${param(min)}`);
+        }
+        
+        if (max !== null) {
+          conditions.push(`${numeric} <= ${param(max)}`);
+        }
+      }
+    }
+  }
+  
+  if (isActive('has_coordinates')) {
+    conditions.push(filters.has_coordinates ? 'p.latitude IS NOT NULL' : 'p.latitude IS NULL');
+  }
+  
+  if (isActive('bbox')) {
+    conditions.push(bboxSql(filters.bbox, param));
+  }
+  
+  if (isActive('near')) {
+    const { latitude, longitude, radius_km } = filters.near;
+    
+    if (usePostgis()) {
+      conditions.push(`ST_DWithin(geography(ST_MakePoint(p.longitude, p.latitude)),
+                                  geography(ST_MakePoint(${param(longitude)}::float8, ${param(latitude)}::float8)),
+                                  ${param(radius_km * 1000)})`);
+    } else {
+      conditions.push(bboxSql(radiusBbox(filters.near), param));
+      conditions.push(`${distanceSql(param(latitude), param(longitude))} <= ${param(radius_km)}`);
+    }
+  }
+  
+  return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+};
+
+/**
+ * Turn band boundaries into ranges covering every value, open-ended at both ends.
+ * max is inclusive, so it is one step below the next boundary.
+ * @param {Array<number>} boundaries - Ascending boundaries
+ * @param {number} step - Smallest difference between two values of the column
+ * @returns {Array<Object>} [{ min, max }] with null for an open end
+ */
+const toBands = (boundaries, step) => [null, ...boundaries].map((min, index) => ({
+  min,
+  max: index < boundaries.length ? Number((boundaries[index] - step).toFixed(2)) : null
+}));
+
+/**
+ * Count the listings falling into each band of a column
+ * @param {string} column - SQL column
+ * @param {Array<Object>} bands - Bands from toBands()
+ * @param {Object} filters - Parsed filters
+ * @param {Array<string>} exclude - Filters left out (the facet's own)
+ * @returns {Promise<Array<number>>} Count per band
+ */
+const countBands = async (column, bands, filters, exclude) => {
+  const params = [];
+  const whereClause = buildPropertyFilters(filters, params, { exclude });
+  
+  const counts = bands.map((band, index) => {
+    const bounds = [`${column} IS NOT NULL`];
+    
+    if (band.min !== null) {
+      params.push(band.min);
+      bounds.push(`${column} >= $${params.length}`);
+    }
+    
+    if (band.max !== null) {
+      params.push(band.max);
+      bounds.push(`${column} <= $${params.length}`);
+    }
+    
+    return `COUNT(*) FILTER (WHERE ${bounds.join(' AND ')}) AS band_${index}`;
+  });
+  
+  const result = await db.query(
+    `SELECT ${counts.join(', ')} FROM properties p WHERE ${whereClause}`,
+    params
+  );
+  
+  return bands.map((band, index) => parseInt(result.rows[0][`band_${index}`]));
+};
 
 /**
  * Property model for handling property-related database operations
  */
 const PropertyModel = {
+  GEO_BACKENDS,
+  INVALID_PROPERTY,
+  
   /**
-   * Create a new property listing
+   * Create a new property listing.
+   * Address fields are normalised; without any, they are parsed from the free-text location.
+   * Attributes are validated against the category's attribute schema.
+   * Invalid data throws an error with code INVALID_PROPERTY (see invalidPropertyError).
    * @param {Object} propertyData - Property data
-   * @returns {Promise<Object>} Created property
+   * @param {Object} options - { client }: insert inside the caller's transaction instead of a new one
+   * @returns {Promise<Object>} Created property (the inserted row when inside the caller's transaction)
    */
-  async createProperty(propertyData) {
+  async createProperty(propertyData, { client: callerClient = null } = {}) {
     const {
       title,
       description,
@@ -18,21 +322,54 @@ const PropertyModel = {
       user_id,
       current_worth,
       year_of_construction,
+      latitude = null,
+      longitude = null,
+      status = 'published',
+      attributes = {},
       images = []
     } = propertyData;
     
-    const client = await db.pool.connect();
+    const { address, errors } = hasAddressFields(propertyData)
+      ? normalizeAddress(propertyData)
+      : { address: parseLocation(location), errors: [] };
+    
+    if (errors.length > 0) {
+      throw invalidPropertyError('Invalid address', errors);
+    }
+    
+    const client = callerClient || await db.pool.connect();
     
     try {
-      await client.query('BEGIN');
+      if (!callerClient) {
+        await client.query('BEGIN');
+      }
+      
+      const categoryResult = await client.query('SELECT attribute_schema FROM categories WHERE id = $1', [category_id]);
+      
+      if (categoryResult.rows.length === 0) {
+        throw invalidPropertyError('Invalid category_id');
+      }
+      
+      const { attributes: validAttributes, errors: attributeErrors } = validateAttributes(
+        categoryResult.rows[0].attribute_schema,
+        attributes
+      );
+      
+      if (attributeErrors.length > 0) {
+        throw invalidPropertyError('Invalid attributes', attributeErrors);
+      }
       
       // Insert property
       const propertyResult = await client.query(
         `INSERT INTO properties 
-         (title, description, location, category_id, user_id, current_worth, year_of_construction)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         (title, description, location, category_id, user_id, current_worth, year_of_construction, latitude, longitude,
+          status, attributes, ${ADDRESS_FIELDS.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
          RETURNING *`,
-        [title, description, location, category_id, user_id, current_worth, year_of_construction]
+        [
+          title, description, location, category_id, user_id, current_worth, year_of_construction, latitude, longitude,
+          status, validAttributes, ...ADDRESS_FIELDS.map(field => address[field] || null)
+        ]
       );
       
       const property = propertyResult.rows[0];
@@ -51,17 +388,80 @@ const PropertyModel = {
         }
       }
       
+      await PropertyPriceHistoryModel.recordPriceChange(client, property.id, { currentWorth: current_worth, userId: user_id });
+      await PropertyRevisionModel.recordRevision(client, property.id, { userId: user_id, action: 'create' });
+      
+      // Not committed yet, so other connections cannot read it back
+      if (callerClient) {
+        return serializeProperty(property);
+      }
+      
       await client.query('COMMIT');
       
       // Get the property with images
       return await this.getPropertyById(property.id);
     } catch (error) {
-      await client.query('ROLLBACK');
+      if (!callerClient) {
+        await client.query('ROLLBACK');
+      }
       console.error('Error creating property:', error);
       throw error;
     } finally {
-      client.release();
+      if (!callerClient) {
+        client.release();
+      }
+    }
+  },
+  
+  /**
+   * Create many listings through createProperty, one transaction per batch.
+   * Each row has its own savepoint, so a row the database rejects is reported without
+   * undoing the rest of its batch.
+   * @param {Array<Object>} rows - Property data for createProperty
+   * @param {Object} options - { batchSize, onBatch(results) called after each committed batch }
+   * @returns {Promise<Array<Object>>} Per row, { property_id } or { error }
+   */
+  async importProperties(rows, { batchSize = 50, onBatch = null } = {}) {
+    const results = [];
+    
+    for (let start = 0; start < rows.length; start += batchSize) {
+      const batch = rows.slice(start, start + batchSize);
+      const batchResults = [];
+      const client = await db.pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        
+        for (const row of batch) {
+          await client.query('SAVEPOINT import_row');
+          
+          try {
+            const property = await this.createProperty(row, { client });
+            await client.query('RELEASE SAVEPOINT import_row');
+            batchResults.push({ property_id: property.id });
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT import_row');
+            batchResults.push({ error: error.message });
+          }
+        }
+        
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error importing properties:', error);
+        throw error;
+      } finally {
+        client.release();
+      }
+      
+      results.push(...batchResults);
+      
+      if (onBatch) {
+        await onBatch(results);
+      }
     }
+    
+    return results;
   },
   
   /**
@@ -76,12 +476,10 @@ const PropertyModel = {
         `SELECT p.*, 
                 c.name AS category_name, 
                 u.first_name, 
-                u.last_name, 
-                u.email,
-                u.phone_number
+                u.last_name
          FROM properties p
          JOIN categories c ON p.category_id = c.id
-         JOIN users u ON p.user_id = u.id
+         LEFT JOIN users u ON p.user_id = u.id
          WHERE p.id = $1`,
         [propertyId]
       );
@@ -110,7 +508,7 @@ const PropertyModel = {
       );
       
       return {
-        ...property,
+        ...serializeProperty(property),
         images: imagesResult.rows,
         votes: votesResult.rows
       };
@@ -121,42 +519,119 @@ const PropertyModel = {
   },
   
   /**
-   * Update property details
+   * Get the ID of the user who owns a property
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<number|null>} Owner user ID or null if the property does not exist
+   */
+  async getPropertyOwnerId(propertyId) {
+    try {
+      const result = await db.query(
+        'SELECT user_id FROM properties WHERE id = $1',
+        [propertyId]
+      );
+      
+      return result.rows[0] ? result.rows[0].user_id : null;
+    } catch (error) {
+      console.error('Error getting property owner:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Update property details and record the change as a revision.
+   * Only fields in UPDATABLE_FIELDS are written; images, when given, replace the image set.
+   * Attributes are merged into the stored ones (null removes one) and checked against the
+   * listing's category, or the new one when category_id changes; a revert restores them as stored.
+   * Invalid data throws an error with code INVALID_PROPERTY.
+   * A new current_worth is also recorded in the price history.
    * @param {number} propertyId - Property ID
    * @param {Object} updateData - Fields to update
+   * @param {Object} options - { userId, action, revertedFrom } for the revision
    * @returns {Promise<Object|null>} Updated property or null if not found
    */
-  async updateProperty(propertyId, updateData) {
+  async updateProperty(propertyId, updateData, options = {}) {
+    const { userId = null, action = 'update', revertedFrom = null } = options;
+    const changesAttributes = revertedFrom === null &&
+      (updateData.attributes !== undefined || (updateData.category_id !== undefined && updateData.category_id !== null));
+    
     try {
-      // Create SET clause and values for dynamic updates
-      const keys = Object.keys(updateData).filter(key => key !== 'images');
-      const values = keys.map(key => updateData[key]);
-      
-      if (keys.length === 0 && !updateData.images) {
-        return await this.getPropertyById(propertyId);
-      }
-      
       const client = await db.pool.connect();
       
       try {
         await client.query('BEGIN');
         
+        // Lock the listing so concurrent updates get consecutive revisions and merge their
+        // attributes into each other's
+        const lockResult = await client.query(
+          'SELECT id, current_worth, category_id, attributes FROM properties WHERE id = $1 FOR UPDATE',
+          [propertyId]
+        );
+        
+        if (lockResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+        
+        const data = { ...updateData };
+        
+        if (changesAttributes) {
+          const categoryResult = await client.query(
+            'SELECT attribute_schema FROM categories WHERE id = $1',
+            [data.category_id || lockResult.rows[0].category_id]
+          );
+          
+          if (categoryResult.rows.length === 0) {
+            throw invalidPropertyError('Invalid category_id');
+          }
+          
+          const { attributes, errors } = mergeAttributes(
+            categoryResult.rows[0].attribute_schema,
+            lockResult.rows[0].attributes,
+            data.attributes
+          );
+          
+          if (errors.length > 0) {
+            throw invalidPropertyError('Invalid attributes', errors);
+          }
+          
+          data.attributes = attributes;
+        }
+        
+        const keys = Object.keys(data).filter(key => UPDATABLE_FIELDS.includes(key) && data[key] !== undefined);
+        const values = keys.map(key => data[key]);
+        
+        await PropertyRevisionModel.ensureBaseline(client, propertyId);
+        
+        const previousWorth = lockResult.rows[0].current_worth;
+        const priceChanged = keys.includes('current_worth') &&
+          !PropertyPriceHistoryModel.sameWorth(previousWorth, data.current_worth);
+        
         // Update property if there are fields to update
         if (keys.length > 0) {
           const setClause = keys
             .map((key, index) => `${key} = $${index + 2}`)
             .join(', ');
+          // The right-hand current_worth is still the value before this update
+          const priceClause = priceChanged ? ', previous_worth = current_worth, price_changed_at = CURRENT_TIMESTAMP' : '';
           
           await client.query(
             `UPDATE properties
-             SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+             SET ${setClause}${priceClause}, updated_at = CURRENT_TIMESTAMP
              WHERE id = $1`,
             [propertyId, ...values]
           );
         }
         
+        if (priceChanged) {
+          await PropertyPriceHistoryModel.recordPriceChange(client, propertyId, {
+            previousWorth,
+            currentWorth: data.current_worth,
+            userId
+          });
+        }
+        
         // Update images if provided
-        if (updateData.images) {
+        if (data.images) {
           // Delete existing images first
           await client.query(
             'DELETE FROM property_images WHERE property_id = $1',
@@ -164,8 +639,8 @@ const PropertyModel = {
           );
           
           // Insert new images
-          for (let i = 0; i < updateData.images.length; i++) {
-            const { image_url, is_primary = i === 0 } = updateData.images[i];
+          for (let i = 0; i < data.images.length; i++) {
+            const { image_url, is_primary = i === 0 } = data.images[i];
             
             await client.query(
               `INSERT INTO property_images 
@@ -176,6 +651,8 @@ const PropertyModel = {
           }
         }
         
+        await PropertyRevisionModel.recordRevision(client, propertyId, { userId, action, revertedFrom });
+        
         await client.query('COMMIT');
       } catch (error) {
         await client.query('ROLLBACK');
@@ -192,6 +669,82 @@ const PropertyModel = {
     }
   },
   
+  /**
+   * Restore the fields and image set a listing had at an earlier revision (not its status)
+   * @param {number} propertyId - Property ID
+   * @param {number} revision - Revision number to restore
+   * @param {number} userId - User reverting
+   * @returns {Promise<Object|null>} Updated property, or null if the revision does not exist
+   */
+  async revertToRevision(propertyId, revision, userId) {
+    try {
+      const target = await PropertyRevisionModel.getRevision(propertyId, revision);
+      
+      if (!target) {
+        return null;
+      }
+      
+      const { fields, images } = target.snapshot;
+      const updateData = { images };
+      
+      // Fields added after the revision was taken are left as they are
+      for (const field of PropertyRevisionModel.REVERTABLE_FIELDS) {
+        if (fields[field] !== undefined) {
+          updateData[field] = fields[field];
+        }
+      }
+      
+      return await this.updateProperty(propertyId, updateData, { userId, action: 'revert', revertedFrom: revision });
+    } catch (error) {
+      console.error('Error reverting property:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Move a listing to another status. The change only applies if the listing is still in
+   * the status the transition was checked against, so concurrent changes cannot skip a rule.
+   * @param {number} propertyId - Property ID
+   * @param {string} fromStatus - Status the transition was validated from
+   * @param {string} toStatus - New status
+   * @param {number} userId - User making the change (recorded in the revision)
+   * @returns {Promise<Object|null>} Updated property row, or null if its status changed meanwhile
+   */
+  async changeStatus(propertyId, fromStatus, toStatus, userId = null) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      await PropertyRevisionModel.ensureBaseline(client, propertyId);
+      
+      const result = await client.query(
+        `UPDATE properties
+         SET status = $3, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = $2
+         RETURNING *`,
+        [propertyId, fromStatus, toStatus]
+      );
+      
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      
+      await PropertyRevisionModel.recordRevision(client, propertyId, { userId, action: 'status' });
+      
+      await client.query('COMMIT');
+      
+      return serializeProperty(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error changing property status:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+  
   /**
    * Delete a property
    * @param {number} propertyId - Property ID
@@ -212,102 +765,285 @@ const PropertyModel = {
   },
   
   /**
-   * Get all properties with pagination and optional filtering
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Object with properties array and total count
+   * Full-text search ordered by relevance, with highlighted snippets
+   * @param {Object} options - { search, filters, limit, offset }
+   * @returns {Promise<Object>} Object with properties array (rank, highlights) and total count
    */
-  async getProperties(options = {}) {
+  async searchProperties(options = {}) {
+    const { search, filters = {}, limit = 20, offset = 0 } = options;
+    const tsQuery = buildTsQuery(search);
+    
+    if (!tsQuery) {
+      return { properties: [], total: 0, limit };
+    }
+    
+    try {
+      const params = [tsQuery];
+      const whereClause = buildPropertyFilters(filters, params, { exclude: ['search'] });
+      
+      // Snippets are only computed for the page being returned
+      const result = await db.query(
+        `WITH matches AS (
+           SELECT p.*, ts_rank_cd(p.search_vector, to_tsquery('english', $1)) AS rank
+           FROM properties p
+           WHERE p.search_vector @@ to_tsquery('english', $1) AND ${whereClause}
+           ORDER BY rank DESC, p.id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+         )
+         SELECT m.*,
+                c.name AS category_name,
+                ${joinedUserColumns('u', 'owner')},
+                ts_headline('english', m.title, to_tsquery('english', $1),
+                  'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+                ts_headline('english', COALESCE(m.description, ''), to_tsquery('english', $1),
+                  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') AS description_highlight,
+                (SELECT image_url FROM property_images WHERE property_id = m.id AND is_primary = true LIMIT 1) AS primary_image,
+                (SELECT COUNT(*) FROM votes WHERE property_id = m.id) AS vote_count
+         FROM matches m
+         LEFT JOIN categories c ON m.category_id = c.id
+         LEFT JOIN users u ON m.user_id = u.id
+         ORDER BY m.rank DESC, m.id DESC`,
+        [...params, limit, offset]
+      );
+      
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM properties p
+         WHERE p.search_vector @@ to_tsquery('english', $1) AND ${whereClause}`,
+        params
+      );
+      
+      return {
+        properties: result.rows.map(row => serializeProperty(extractJoinedUser(row, 'owner'))),
+        total: parseInt(countResult.rows[0].count),
+        limit
+      };
+    } catch (error) {
+      console.error('Error searching properties:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Count listings per facet value for the browse page.
+   * Each facet ignores its own filter, so a count is the number of results left if that value were chosen.
+   * @param {Object} filters - Parsed filters (see utils/propertyQuery.js)
+   * @param {Object} options - { priceBoundaries, yearBoundaries }
+   * @returns {Promise<Object>} { total, category, location: { country, region, city }, price, year, top_vote_option }
+   */
+  async getFacets(filters = {}, options = {}) {
     const {
-      limit = 10,
-      offset = 0,
-      category_id = null,
-      user_id = null,
-      search = null,
-      sort_by = 'created_at',
-      sort_order = 'DESC'
+      priceBoundaries = PRICE_FACET_BOUNDARIES,
+      yearBoundaries = YEAR_FACET_BOUNDARIES
     } = options;
     
+    // Runs a facet query built from the WHERE conditions (minus the excluded filters);
+    // extraParams are numbered after the filter values
+    const facetRows = async (buildSql, exclude = [], extraParams = []) => {
+      const params = [];
+      const whereClause = buildPropertyFilters(filters, params, { exclude });
+      const result = await db.query(buildSql(whereClause, params.length), [...params, ...extraParams]);
+      return result.rows;
+    };
+    
     try {
-      let query = `
-        SELECT p.*, 
-               c.name AS category_name, 
-               u.first_name, 
-               u.last_name,
-               (SELECT image_url FROM property_images WHERE property_id = p.id AND is_primary = true LIMIT 1) AS primary_image,
-               (SELECT COUNT(*) FROM votes WHERE property_id = p.id) AS vote_count
+      const [{ count: total }] = await facetRows(where => `SELECT COUNT(*) FROM properties p WHERE ${where}`);
+      
+      const category = await facetRows(where => `
+        SELECT c.id, c.name, COUNT(p.id) AS count
+        FROM categories c
+        LEFT JOIN properties p ON p.category_id = c.id AND ${where}
+        GROUP BY c.id, c.name
+        ORDER BY count DESC, c.name ASC`,
+      ['category_id', 'category']);
+      
+      const locationFacet = (columns, exclude) => facetRows((where, paramCount) => `
+        SELECT ${columns.map(column => `p.${column}`).join(', ')}, COUNT(*) AS count
         FROM properties p
-        JOIN categories c ON p.category_id = c.id
-        JOIN users u ON p.user_id = u.id
-        WHERE 1=1
-      `;
-      
-      const queryParams = [];
-      let paramCount = 1;
-      
-      // Add filters
-      if (category_id) {
-        query += ` AND p.category_id = $${paramCount++}`;
-        queryParams.push(category_id);
-      }
+        WHERE ${where} AND p.${columns[columns.length - 1]} IS NOT NULL
+        GROUP BY ${columns.map(column => `p.${column}`).join(', ')}
+        ORDER BY count DESC, ${columns.map(column => `p.${column}`).join(', ')}
+        LIMIT $${paramCount + 1}`,
+      exclude, [LOCATION_FACET_LIMIT]);
       
-      if (user_id) {
-        query += ` AND p.user_id = $${paramCount++}`;
-        queryParams.push(user_id);
-      }
+      const country = await locationFacet(['country'], ['country']);
+      const region = await locationFacet(['country', 'region'], ['region']);
+      const city = await locationFacet(['country', 'region', 'city'], ['city']);
       
-      if (search) {
-        query += ` AND (p.title ILIKE $${paramCount} OR p.description ILIKE $${paramCount} OR p.location ILIKE $${paramCount})`;
-        queryParams.push(`%${search}%`);
-        paramCount++;
-      }
+      const priceBands = toBands(priceBoundaries, 0.01);
+      const priceCounts = await countBands('p.current_worth', priceBands, filters, ['min_worth', 'max_worth']);
       
-      // Add sorting
-      const allowedSortFields = ['created_at', 'title', 'location', 'current_worth', 'vote_count'];
-      const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
-      const order = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const yearBands = toBands(yearBoundaries, 1);
+      const yearCounts = await countBands('p.year_of_construction', yearBands, filters, ['min_year', 'max_year']);
       
-      query += ` ORDER BY ${sortField} ${order}`;
+      const topVoteOption = await facetRows(where => `
+        SELECT t.name, COUNT(*) AS count
+        FROM (${TOP_VOTE_OPTIONS_SQL}) t
+        JOIN properties p ON p.id = t.property_id
+        WHERE ${where}
+        GROUP BY t.name
+        ORDER BY count DESC, t.name ASC`,
+      ['top_vote_option']);
       
-      // Add pagination
-      query += ` LIMIT $${paramCount++} OFFSET $${paramCount++}`;
-      queryParams.push(limit, offset);
+      const withCount = rows => rows.map(row => ({ ...row, count: parseInt(row.count) }));
       
-      const result = await db.query(query, queryParams);
+      return {
+        total: parseInt(total),
+        category: withCount(category),
+        location: {
+          country: withCount(country),
+          region: withCount(region),
+          city: withCount(city)
+        },
+        price: priceBands.map((band, index) => ({ min_worth: band.min, max_worth: band.max, count: priceCounts[index] })),
+        year: yearBands.map((band, index) => ({ min_year: band.min, max_year: band.max, count: yearCounts[index] })),
+        top_vote_option: withCount(topVoteOption)
+      };
+    } catch (error) {
+      console.error('Error getting property facets:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Load the images and vote breakdown of a page of listings in two queries,
+   * setting images, votes, primary_image and vote_count on each
+   * @param {Array<Object>} properties - Listings, modified in place
+   * @returns {Promise<Array<Object>>} The same listings
+   */
+  async attachListingDetails(properties) {
+    if (properties.length === 0) {
+      return properties;
+    }
+    
+    try {
+      const ids = properties.map(property => property.id);
       
-      // Get total count for pagination
-      let countQuery = `
-        SELECT COUNT(*) 
-        FROM properties p
-        WHERE 1=1
-      `;
+      const imagesResult = await db.query(
+        `SELECT * FROM property_images
+         WHERE property_id = ANY($1)
+         ORDER BY is_primary DESC, created_at ASC`,
+        [ids]
+      );
       
-      const countParams = [];
-      paramCount = 1;
+      const votesResult = await db.query(
+        `SELECT v.property_id, vo.name, COUNT(*) AS count
+         FROM votes v
+         JOIN vote_options vo ON v.vote_option_id = vo.id
+         WHERE v.property_id = ANY($1)
+         GROUP BY v.property_id, vo.name
+         ORDER BY count DESC`,
+        [ids]
+      );
       
-      if (category_id) {
-        countQuery += ` AND p.category_id = $${paramCount++}`;
-        countParams.push(category_id);
+      for (const property of properties) {
+        property.images = imagesResult.rows.filter(image => image.property_id === property.id);
+        property.votes = votesResult.rows
+          .filter(vote => vote.property_id === property.id)
+          .map(({ name, count }) => ({ name, count }));
+        
+        const primaryImage = property.images.find(image => image.is_primary);
+        property.primary_image = primaryImage ? primaryImage.image_url : null;
+        property.vote_count = property.votes.reduce((sum, vote) => sum + parseInt(vote.count), 0);
       }
       
-      if (user_id) {
-        countQuery += ` AND p.user_id = $${paramCount++}`;
-        countParams.push(user_id);
-      }
+      return properties;
+    } catch (error) {
+      console.error('Error loading listing details:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get properties matching the listing filters, with sorting and keyset (after) or offset pagination.
+   * Radius searches (filters.near) also return each listing's distance_km.
+   * @param {Object} options - { filters, sort_by, sort_order, limit, offset, after } (see utils/propertyQuery.js)
+   * @returns {Promise<Object>} Object with properties array, total count of matching properties and next_cursor
+   */
+  async getProperties(options = {}) {
+    const {
+      filters = {},
+      limit = 10,
+      offset = 0,
+      after = null,
+      sort_by = 'created_at',
+      sort_order = 'DESC'
+    } = options;
+    
+    try {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      const whereClause = buildPropertyFilters(filters, params);
+      // The count query must not receive the distance or cursor parameters
+      const countParams = [...params];
       
-      if (search) {
-        countQuery += ` AND (p.title ILIKE $${paramCount} OR p.description ILIKE $${paramCount} OR p.location ILIKE $${paramCount})`;
-        countParams.push(`%${search}%`);
+      const distanceExpression = filters.near
+        ? distanceSql(param(filters.near.latitude), param(filters.near.longitude))
+        : null;
+      
+      const sortExpression = sort_by === 'distance'
+        ? distanceExpression || SORT_EXPRESSIONS.created_at
+        : SORT_EXPRESSIONS[sort_by] || SORT_EXPRESSIONS.created_at;
+      const order = String(sort_order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      
+      // Keyset: rows strictly after the cursor in ORDER BY order (NULL sort values come last)
+      let cursorClause = 'TRUE';
+      
+      if (after) {
+        const operator = order === 'ASC' ? '>' : '<';
+        const afterId = param(after.id);
+        
+        if (after.value === null) {
+          cursorClause = `(${sortExpression}) IS NULL AND p.id ${operator} ${afterId}`;
+        } else {
+          const afterValue = param(after.value);
+          cursorClause = `((${sortExpression}) ${operator} ${afterValue}
+            OR ((${sortExpression}) = ${afterValue} AND p.id ${operator} ${afterId})
+            OR (${sortExpression}) IS NULL)`;
+        }
       }
       
-      const countResult = await db.query(countQuery, countParams);
+      // One row more than the page tells whether there is a next page
+      const result = await db.query(
+        `SELECT p.*, 
+                c.name AS category_name, 
+                ${joinedUserColumns('u', 'owner')},
+                ${distanceExpression ? `${distanceExpression} AS distance_km,` : ''}
+                (${sortExpression})::text AS cursor_value
+         FROM properties p
+         LEFT JOIN categories c ON p.category_id = c.id
+         LEFT JOIN users u ON p.user_id = u.id
+         WHERE ${whereClause} AND ${cursorClause}
+         ORDER BY ${sortExpression} ${order} NULLS LAST, p.id ${order}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit + 1, after ? 0 : offset]
+      );
+      
+      // The total counts every property matching the same filters
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM properties p WHERE ${whereClause}`,
+        countParams
+      );
       const totalCount = parseInt(countResult.rows[0].count);
       
+      const rows = result.rows.slice(0, limit);
+      const lastRow = rows[rows.length - 1];
+      const nextCursor = result.rows.length > limit
+        ? encodeCursor({ sort_by, sort_order: order, value: lastRow.cursor_value, id: lastRow.id })
+        : null;
+      
+      const properties = rows.map(({ cursor_value, ...row }) => serializeProperty(extractJoinedUser(row, 'owner')));
+      await this.attachListingDetails(properties);
+      
       return {
-        properties: result.rows,
+        properties,
         total: totalCount,
         page: Math.floor(offset / limit) + 1,
         pages: Math.ceil(totalCount / limit),
-        limit
+        limit,
+        next_cursor: nextCursor
       };
     } catch (error) {
       console.error('Error getting properties:', error);
@@ -0,0 +1,80 @@
+const db = require('../config/db');
+const { joinedUserColumns, extractJoinedUser } = require('../serializers/userSerializer');
+const { priceChange } = require('../serializers/propertySerializer');
+
+/**
+ * Check whether two asking prices are the same (DECIMAL columns arrive as strings)
+ * @param {number|string|null} a - First price
+ * @param {number|string|null} b - Second price
+ * @returns {boolean} True if both are missing or numerically equal
+ */
+const sameWorth = (a, b) => {
+  const isMissing = (value) => value === null || value === undefined || value === '';
+
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) && isMissing(b);
+  }
+
+  return Number(a) === Number(b);
+};
+
+/**
+ * Property price history model for the asking price changes of listings.
+ * Write methods take the client of the caller's transaction so the history entry
+ * is stored together with the price change.
+ */
+const PropertyPriceHistoryModel = {
+  sameWorth,
+
+  /**
+   * Record a change of asking price
+   * @param {Object} client - Database client or pool
+   * @param {number} propertyId - Property ID
+   * @param {Object} change - { previousWorth, currentWorth, userId }
+   * @returns {Promise<Object>} Created history entry
+   */
+  async recordPriceChange(client, propertyId, { previousWorth = null, currentWorth, userId = null }) {
+    try {
+      const result = await client.query(
+        `INSERT INTO property_price_history (property_id, user_id, previous_worth, current_worth)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [propertyId, userId, previousWorth, currentWorth]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording price change:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the asking price time series of a listing, oldest first
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<Array>} Entries with the author and the change against the previous price
+   */
+  async getPriceHistory(propertyId) {
+    try {
+      const result = await db.query(
+        `SELECT h.id, h.previous_worth, h.current_worth, h.changed_at,
+                ${joinedUserColumns('u', 'changed_by')}
+         FROM property_price_history h
+         LEFT JOIN users u ON h.user_id = u.id
+         WHERE h.property_id = $1
+         ORDER BY h.changed_at ASC, h.id ASC`,
+        [propertyId]
+      );
+
+      return result.rows.map(row => ({
+        ...extractJoinedUser(row, 'changed_by'),
+        ...priceChange(row.previous_worth, row.current_worth)
+      }));
+    } catch (error) {
+      console.error('Error getting price history:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = PropertyPriceHistoryModel;
@@ -0,0 +1,227 @@
+const db = require('../config/db');
+const { joinedUserColumns, extractJoinedUser } = require('../serializers/userSerializer');
+const { ADDRESS_FIELDS } = require('../utils/address');
+
+// Listing fields kept in each revision. Reverting restores all of them except the status,
+// which only changes through the lifecycle transitions.
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'category_id',
+  'current_worth',
+  'year_of_construction',
+  'latitude',
+  'longitude',
+  ...ADDRESS_FIELDS,
+  'attributes',
+  'status'
+];
+
+const REVERTABLE_FIELDS = REVISION_FIELDS.filter(field => field !== 'status');
+
+/**
+ * Compare two snapshots
+ * @param {Object|null} from - Earlier snapshot ({ fields, images }), null for none
+ * @param {Object} to - Later snapshot
+ * @returns {Object} { <field or "images">: { from, to } } for everything that differs
+ */
+const diffSnapshots = (from, to) => {
+  const changes = {};
+  const before = from || { fields: {}, images: [] };
+
+  for (const field of REVISION_FIELDS) {
+    const oldValue = before.fields[field] === undefined ? null : before.fields[field];
+    const newValue = to.fields[field] === undefined ? null : to.fields[field];
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { from: oldValue, to: newValue };
+    }
+  }
+
+  if (JSON.stringify(before.images) !== JSON.stringify(to.images)) {
+    changes.images = { from: before.images, to: to.images };
+  }
+
+  return changes;
+};
+
+/**
+ * Property revision model for the change history of listings.
+ * Write methods take the client of the caller's transaction (or db for a single statement)
+ * so the revision is stored together with the change it describes.
+ */
+const PropertyRevisionModel = {
+  REVISION_FIELDS,
+  REVERTABLE_FIELDS,
+  diffSnapshots,
+
+  /**
+   * Read the current state of a listing
+   * @param {Object} client - Database client or pool
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<Object|null>} { fields, images } or null if the property does not exist
+   */
+  async takeSnapshot(client, propertyId) {
+    const propertyResult = await client.query(
+      `SELECT ${REVISION_FIELDS.join(', ')} FROM properties WHERE id = $1`,
+      [propertyId]
+    );
+
+    if (propertyResult.rows.length === 0) {
+      return null;
+    }
+
+    const imagesResult = await client.query(
+      `SELECT image_url, is_primary FROM property_images
+       WHERE property_id = $1
+       ORDER BY is_primary DESC, created_at ASC, id ASC`,
+      [propertyId]
+    );
+
+    return {
+      fields: propertyResult.rows[0],
+      images: imagesResult.rows
+    };
+  },
+
+  /**
+   * Store the current state of a listing as a new revision, if it differs from the latest one
+   * @param {Object} client - Database client or pool
+   * @param {number} propertyId - Property ID
+   * @param {Object} options - { userId, action, revertedFrom }
+   * @returns {Promise<Object|null>} Created revision, or null if nothing changed
+   */
+  async recordRevision(client, propertyId, { userId = null, action, revertedFrom = null }) {
+    try {
+      const snapshot = await this.takeSnapshot(client, propertyId);
+
+      if (!snapshot) {
+        return null;
+      }
+
+      const latestResult = await client.query(
+        `SELECT revision, snapshot FROM property_revisions
+         WHERE property_id = $1
+         ORDER BY revision DESC
+         LIMIT 1`,
+        [propertyId]
+      );
+
+      const latest = latestResult.rows[0] || null;
+      const changes = diffSnapshots(latest ? latest.snapshot : null, snapshot);
+
+      if (latest && Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      // A baseline records the state nobody changed yet, so it has no changes of its own
+      if (!latest && action === 'baseline') {
+        Object.keys(changes).forEach(field => delete changes[field]);
+      }
+
+      const result = await client.query(
+        `INSERT INTO property_revisions (property_id, revision, user_id, action, snapshot, changes, reverted_from)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [propertyId, latest ? latest.revision + 1 : 1, userId, action, snapshot, changes, revertedFrom]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording property revision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Listings created before revisions existed have no history yet; store their current
+   * state as revision 1 before the first change so it can be reverted to
+   * @param {Object} client - Database client or pool
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<void>}
+   */
+  async ensureBaseline(client, propertyId) {
+    try {
+      const result = await client.query(
+        'SELECT 1 FROM property_revisions WHERE property_id = $1 LIMIT 1',
+        [propertyId]
+      );
+
+      if (result.rows.length === 0) {
+        await this.recordRevision(client, propertyId, { action: 'baseline' });
+      }
+    } catch (error) {
+      console.error('Error recording property baseline:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the revisions of a listing, newest first, without their snapshots
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<Array>} Revisions with author and changes
+   */
+  async listRevisions(propertyId) {
+    try {
+      const result = await db.query(
+        `SELECT r.id, r.property_id, r.revision, r.action, r.changes, r.reverted_from, r.created_at,
+                ${joinedUserColumns('u', 'author')}
+         FROM property_revisions r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.property_id = $1
+         ORDER BY r.revision DESC`,
+        [propertyId]
+      );
+
+      return result.rows.map(row => extractJoinedUser(row, 'author'));
+    } catch (error) {
+      console.error('Error listing property revisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one revision of a listing with its snapshot
+   * @param {number} propertyId - Property ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision or null if not found
+   */
+  async getRevision(propertyId, revision) {
+    try {
+      const result = await db.query(
+        `SELECT r.*, ${joinedUserColumns('u', 'author')}
+         FROM property_revisions r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.property_id = $1 AND r.revision = $2`,
+        [propertyId, revision]
+      );
+
+      return result.rows[0] ? extractJoinedUser(result.rows[0], 'author') : null;
+    } catch (error) {
+      console.error('Error getting property revision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the latest revision number of a listing
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<number|null>} Revision number or null if there are none
+   */
+  async getLatestRevisionNumber(propertyId) {
+    try {
+      const result = await db.query(
+        'SELECT MAX(revision) AS revision FROM property_revisions WHERE property_id = $1',
+        [propertyId]
+      );
+
+      return result.rows[0].revision;
+    } catch (error) {
+      console.error('Error getting latest property revision:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = PropertyRevisionModel;
@@ -1,14 +1,90 @@
 const express = require('express');
 const db = require('../config/db');
+const { authenticateClient, optionalAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { visibleListingCondition } = require('../config/listingStatus');
+const { isHttpUrl } = require('../utils/validators');
+const PropertyRevisionModel = require('./propertyRevisionModel');
 
 const router = express.Router();
 
+// Owner of the property an image is being added to
+const bodyPropertyOwner = async (req) => {
+  const result = await db.query('SELECT user_id FROM properties WHERE id = $1', [req.body.property_id]);
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+// Owner of the property an existing image belongs to
+const imagePropertyOwner = async (req) => {
+  const result = await db.query(
+    `SELECT p.user_id
+     FROM property_images pi
+     JOIN properties p ON pi.property_id = p.id
+     WHERE pi.id = $1`,
+    [parseInt(req.params.id)]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+// Property an existing image belongs to
+const imagePropertyId = async (imageId) => {
+  const result = await db.query('SELECT property_id FROM property_images WHERE id = $1', [imageId]);
+  return result.rows[0] ? result.rows[0].property_id : null;
+};
+
+/**
+ * Make an image change inside a transaction that locks the listing row, and record it as a
+ * revision in the same transaction, so concurrent image writes get consecutive revisions and
+ * no change is stored without its revision
+ * @param {number} propertyId - Property the images belong to
+ * @param {number} userId - User making the change
+ * @param {Function} change - async (client) => result, or null when there was nothing to change
+ * @returns {Promise<*>} Result of change, or null if the property or image does not exist
+ */
+const withImageRevision = async (propertyId, userId, change) => {
+  const client = await db.pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const lockResult = await client.query('SELECT id FROM properties WHERE id = $1 FOR UPDATE', [propertyId]);
+    
+    if (lockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    await PropertyRevisionModel.ensureBaseline(client, propertyId);
+    
+    const result = await change(client);
+    
+    if (result === null) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    await PropertyRevisionModel.recordRevision(client, propertyId, { userId, action: 'images' });
+    
+    await client.query('COMMIT');
+    
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const canWriteNewImage = requirePermission('property_images:write', { ownerOf: bodyPropertyOwner });
+const canWriteImage = requirePermission('property_images:write', { ownerOf: imagePropertyOwner });
+
 /**
  * @route   GET /api/property_images
- * @desc    Get all property images with pagination
+ * @desc    Get all property images with pagination (of listings the caller can see)
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { limit = 100, offset = 0, property_id } = req.query;
     
@@ -17,14 +93,16 @@ router.get('/', async (req, res) => {
              pi.display_order, pi.created_at, pi.updated_at,
              p.title as property_title
       FROM property_images pi
-      LEFT JOIN properties p ON pi.property_id = p.id
+      JOIN properties p ON pi.property_id = p.id
     `;
     
     const params = [];
     
+    query += ` WHERE ${visibleListingCondition('p', req.user, params)}`;
+    
     if (property_id) {
-      query += ` WHERE pi.property_id = $1`;
       params.push(property_id);
+      query += ` AND pi.property_id = $${params.length}`;
     }
     
     query += ` ORDER BY pi.property_id, pi.display_order, pi.created_at LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
@@ -49,21 +127,22 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/property_images/:id
- * @desc    Get property image by ID
+ * @desc    Get property image by ID (same visibility as its listing)
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const imageId = parseInt(req.params.id);
+    const params = [imageId];
     
     const result = await db.query(`
       SELECT pi.id, pi.property_id, pi.image_url, pi.alt_text, pi.is_primary, 
              pi.display_order, pi.created_at, pi.updated_at,
              p.title as property_title
       FROM property_images pi
-      LEFT JOIN properties p ON pi.property_id = p.id
-      WHERE pi.id = $1
-    `, [imageId]);
+      JOIN properties p ON pi.property_id = p.id
+      WHERE pi.id = $1 AND ${visibleListingCondition('p', req.user, params)}
+    `, params);
     
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -89,7 +168,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Create a new property image
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateClient, canWriteNewImage, async (req, res) => {
   try {
     const { property_id, image_url, alt_text, is_primary = false, display_order = 0 } = req.body;
     
@@ -101,23 +180,43 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // If this is set as primary, unset other primary images for this property
-    if (is_primary) {
-      await db.query(
-        'UPDATE property_images SET is_primary = false WHERE property_id = $1',
-        [property_id]
-      );
+    // Same rule as the images of PUT /properties/:id; stored revisions keep the URL too
+    if (!isHttpUrl(image_url)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'image_url must be an http(s) URL'
+      });
     }
     
-    const result = await db.query(`
-      INSERT INTO property_images (property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING id, property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at
-    `, [property_id, image_url, alt_text, is_primary, display_order]);
+    // Image changes are part of the listing's revision history
+    const image = await withImageRevision(property_id, req.user.id, async (client) => {
+      // If this is set as primary, unset other primary images for this property
+      if (is_primary) {
+        await client.query(
+          'UPDATE property_images SET is_primary = false WHERE property_id = $1',
+          [property_id]
+        );
+      }
+      
+      const result = await client.query(`
+        INSERT INTO property_images (property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING id, property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at
+      `, [property_id, image_url, alt_text, is_primary, display_order]);
+      
+      return result.rows[0];
+    });
+    
+    if (!image) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
     
     res.status(201).json({
       message: 'Property image created successfully',
-      property_image: result.rows[0]
+      property_image: image
     });
   } catch (error) {
     console.error('Error creating property image:', error);
@@ -133,14 +232,21 @@ router.post('/', async (req, res) => {
  * @desc    Update property image by ID
  * @access  Private
  */
-router.patch('/:id', updatePropertyImage);
-router.put('/:id', updatePropertyImage);
+router.patch('/:id', authenticateClient, canWriteImage, updatePropertyImage);
+router.put('/:id', authenticateClient, canWriteImage, updatePropertyImage);
 
 async function updatePropertyImage(req, res) {
   try {
     const imageId = parseInt(req.params.id);
     const { image_url, alt_text, is_primary, display_order } = req.body;
     
+    if (image_url !== undefined && !isHttpUrl(image_url)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'image_url must be an http(s) URL'
+      });
+    }
+    
     // Build dynamic update query
     const updates = [];
     const params = [];
@@ -162,17 +268,6 @@ async function updatePropertyImage(req, res) {
       updates.push(`is_primary = $${paramCount}`);
       params.push(is_primary);
       paramCount++;
-      
-      // If setting as primary, unset other primary images for this property
-      if (is_primary) {
-        const propertyResult = await db.query('SELECT property_id FROM property_images WHERE id = $1', [imageId]);
-        if (propertyResult.rows.length > 0) {
-          await db.query(
-            'UPDATE property_images SET is_primary = false WHERE property_id = $1 AND id != $2',
-            [propertyResult.rows[0].property_id, imageId]
-          );
-        }
-      }
     }
     
     if (display_order !== undefined) {
@@ -191,16 +286,27 @@ async function updatePropertyImage(req, res) {
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
     params.push(imageId);
     
-    const query = `
-      UPDATE property_images 
-      SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at
-    `;
-    
-    const result = await db.query(query, params);
+    const propertyId = await imagePropertyId(imageId);
+    const image = propertyId && await withImageRevision(propertyId, req.user.id, async (client) => {
+      // If setting as primary, unset other primary images for this property
+      if (is_primary) {
+        await client.query(
+          'UPDATE property_images SET is_primary = false WHERE property_id = $1 AND id != $2',
+          [propertyId, imageId]
+        );
+      }
+      
+      const result = await client.query(`
+        UPDATE property_images 
+        SET ${updates.join(', ')}
+        WHERE id = $${paramCount} AND property_id = $${paramCount + 1}
+        RETURNING id, property_id, image_url, alt_text, is_primary, display_order, created_at, updated_at
+      `, [...params, propertyId]);
+      
+      return result.rows[0] || null;
+    });
     
-    if (result.rows.length === 0) {
+    if (!image) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Property image not found'
@@ -209,7 +315,7 @@ async function updatePropertyImage(req, res) {
     
     res.status(200).json({
       message: 'Property image updated successfully',
-      property_image: result.rows[0]
+      property_image: image
     });
   } catch (error) {
     console.error('Error updating property image:', error);
@@ -225,16 +331,20 @@ async function updatePropertyImage(req, res) {
  * @desc    Delete property image by ID
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateClient, canWriteImage, async (req, res) => {
   try {
     const imageId = parseInt(req.params.id);
+    const propertyId = await imagePropertyId(imageId);
+    const deleted = propertyId && await withImageRevision(propertyId, req.user.id, async (client) => {
+      const result = await client.query(
+        'DELETE FROM property_images WHERE id = $1 AND property_id = $2 RETURNING id, property_id',
+        [imageId, propertyId]
+      );
+      
+      return result.rows[0] || null;
+    });
     
-    const result = await db.query(
-      'DELETE FROM property_images WHERE id = $1 RETURNING id, property_id',
-      [imageId]
-    );
-    
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Property image not found'
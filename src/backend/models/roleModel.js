@@ -0,0 +1,122 @@
+const db = require('../config/db');
+const { DEFAULT_ROLE } = require('../config/permissions');
+
+/**
+ * Role model for handling user role assignments
+ */
+const RoleModel = {
+  /**
+   * Get the roles held by a user, including the implicit default role
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Role names
+   */
+  async getUserRoles(userId) {
+    try {
+      const result = await db.query(
+        'SELECT role FROM user_roles WHERE user_id = $1 ORDER BY role',
+        [userId]
+      );
+
+      const roles = result.rows.map(row => row.role);
+
+      if (!roles.includes(DEFAULT_ROLE)) {
+        roles.push(DEFAULT_ROLE);
+      }
+
+      return roles;
+    } catch (error) {
+      console.error('Error getting user roles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get role assignments of a user with who granted them
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Role assignment rows
+   */
+  async getRoleAssignments(userId) {
+    try {
+      const result = await db.query(
+        `SELECT ur.role, ur.granted_at, ur.granted_by,
+                g.first_name || ' ' || g.last_name AS granted_by_name
+         FROM user_roles ur
+         LEFT JOIN users g ON ur.granted_by = g.id
+         WHERE ur.user_id = $1
+         ORDER BY ur.role`,
+        [userId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting role assignments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Grant a role to a user (no-op if already granted)
+   * @param {number} userId - User ID
+   * @param {string} role - Role name
+   * @param {number|null} grantedBy - ID of the user granting the role
+   * @returns {Promise<boolean>} True if the role was newly granted
+   */
+  async grantRole(userId, role, grantedBy = null) {
+    try {
+      const result = await db.query(
+        `INSERT INTO user_roles (user_id, role, granted_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, role) DO NOTHING
+         RETURNING role`,
+        [userId, role, grantedBy]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error granting role:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a role from a user, unless it is the admin role of the last admin.
+   * Every admin assignment is locked while revoking the admin role, so two admins revoking
+   * each other at the same time cannot leave the platform without one.
+   * @param {number} userId - User ID
+   * @param {string} role - Role name
+   * @returns {Promise<string>} 'revoked', 'not_found' or 'last_admin'
+   */
+  async revokeRole(userId, role) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (role === 'admin') {
+        const admins = await client.query("SELECT user_id FROM user_roles WHERE role = 'admin' FOR UPDATE");
+
+        if (admins.rows.length <= 1 && admins.rows.some(row => row.user_id === parseInt(userId))) {
+          await client.query('ROLLBACK');
+          return 'last_admin';
+        }
+      }
+
+      const result = await client.query(
+        'DELETE FROM user_roles WHERE user_id = $1 AND role = $2 RETURNING role',
+        [userId, role]
+      );
+
+      await client.query('COMMIT');
+
+      return result.rows.length > 0 ? 'revoked' : 'not_found';
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error revoking role:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = RoleModel;
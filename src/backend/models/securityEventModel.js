@@ -0,0 +1,86 @@
+const db = require('../config/db');
+
+/**
+ * Security event model for the audit log of account security events
+ * (lockouts, unlocks, blocked IPs, ...)
+ */
+const SecurityEventModel = {
+  /**
+   * Record a security event
+   * @param {Object} eventData - { user_id, event_type, ip_address, details }
+   * @returns {Promise<Object>} Created event
+   */
+  async recordEvent(eventData) {
+    const { user_id = null, event_type, ip_address = null, details = null } = eventData;
+
+    try {
+      const result = await db.query(
+        `INSERT INTO security_events (user_id, event_type, ip_address, details)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [user_id, event_type, ip_address, details]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording security event:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List security events, newest first
+   * @param {Object} options - { limit, offset, event_type, user_id, ip_address }
+   * @returns {Promise<Object>} Object with events array and total count
+   */
+  async listEvents(options = {}) {
+    const { limit = 50, offset = 0, event_type = null, user_id = null, ip_address = null } = options;
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (event_type) {
+        params.push(event_type);
+        conditions.push(`se.event_type = $${params.length}`);
+      }
+
+      if (user_id) {
+        params.push(user_id);
+        conditions.push(`se.user_id = $${params.length}`);
+      }
+
+      if (ip_address) {
+        params.push(ip_address);
+        conditions.push(`se.ip_address = $${params.length}`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await db.query(
+        `SELECT se.*, u.email AS user_email
+         FROM security_events se
+         LEFT JOIN users u ON se.user_id = u.id
+         ${whereClause}
+         ORDER BY se.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const countResult = await db.query(
+        `SELECT COUNT(*) FROM security_events se ${whereClause}`,
+        params
+      );
+
+      return {
+        events: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing security events:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = SecurityEventModel;
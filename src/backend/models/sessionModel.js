@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const LAST_SEEN_RESOLUTION_SECONDS = 60;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Session model for handling login sessions and their rotating refresh tokens
+ */
+const SessionModel = {
+  /**
+   * Create a new session with its first refresh token
+   * @param {number} userId - User ID
+   * @param {Object} device - { user_agent, ip_address } of the client logging in
+   * @returns {Promise<Object>} Object with session and raw refresh token
+   */
+  async createSession(userId, device = {}) {
+    const { user_agent = null, ip_address = null } = device;
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `INSERT INTO user_sessions (id, user_id, user_agent, ip_address)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [crypto.randomUUID(), userId, user_agent ? user_agent.slice(0, 512) : null, ip_address]
+      );
+
+      const session = sessionResult.rows[0];
+      const refreshToken = await this.insertRefreshToken(client, session.id);
+
+      await client.query('COMMIT');
+
+      return { session, refreshToken };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating session:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Generate and store a refresh token for a session
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string>} Raw refresh token
+   */
+  async insertRefreshToken(client, sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await client.query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3::INT))`,
+      [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return refreshToken;
+  },
+
+  /**
+   * Exchange a refresh token for a new one in the same session.
+   * Presenting a token that was already rotated means it has leaked,
+   * so the whole session (token family) is revoked.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} device - { ip_address } of the client refreshing
+   * @returns {Promise<Object>} { status: 'ok', session, refreshToken } or { status: 'invalid' | 'reused' }
+   */
+  async rotateRefreshToken(refreshToken, device = {}) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `SELECT rt.*, s.user_id, s.revoked_at AS session_revoked_at
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+
+      const storedToken = tokenResult.rows[0];
+
+      if (!storedToken || storedToken.session_revoked_at) {
+        await client.query('ROLLBACK');
+        return { status: 'invalid' };
+      }
+
+      if (storedToken.rotated_at) {
+        await client.query(
+          `UPDATE user_sessions
+           SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+           WHERE id = $1`,
+          [storedToken.session_id]
+        );
+        await client.query('COMMIT');
+
+        console.warn(`Refresh token reuse detected for session ${storedToken.session_id}, session revoked`);
+        return { status: 'reused' };
+      }
+
+      if (new Date(storedToken.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return { status: 'invalid' };
+      }
+
+      await client.query(
+        'UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [storedToken.id]
+      );
+
+      await client.query(
+        `UPDATE user_sessions
+         SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+         WHERE id = $1`,
+        [storedToken.session_id, device.ip_address || null]
+      );
+
+      const newRefreshToken = await this.insertRefreshToken(client, storedToken.session_id);
+
+      await client.query('COMMIT');
+
+      return {
+        status: 'ok',
+        session: { id: storedToken.session_id, user_id: storedToken.user_id },
+        refreshToken: newRefreshToken
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error rotating refresh token:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Check whether a session exists and has not been revoked
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session is active
+   */
+  async isSessionActive(sessionId) {
+    try {
+      const result = await db.query(
+        'SELECT id FROM user_sessions WHERE id = $1 AND revoked_at IS NULL',
+        [sessionId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error checking session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that a session was just used. Writes at most once a minute per session.
+   * @param {string} sessionId - Session ID
+   * @param {Object} device - { ip_address } of the client
+   * @returns {Promise<void>}
+   */
+  async touchSession(sessionId, device = {}) {
+    try {
+      await db.query(
+        `UPDATE user_sessions
+         SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+         WHERE id = $1 AND revoked_at IS NULL
+           AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - make_interval(secs => $3::INT))`,
+        [sessionId, device.ip_address || null, LAST_SEEN_RESOLUTION_SECONDS]
+      );
+    } catch (error) {
+      console.error('Error updating session activity:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null if not found
+   */
+  async getSessionById(sessionId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM user_sessions WHERE id = $1',
+        [sessionId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the sessions of a user that can still be used (not revoked, refresh token not expired)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listActiveSessions(userId) {
+    try {
+      const result = await db.query(
+        `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at,
+                MAX(rt.expires_at) AS expires_at
+         FROM user_sessions s
+         JOIN refresh_tokens rt ON rt.session_id = s.id AND rt.rotated_at IS NULL
+         WHERE s.user_id = $1 AND s.revoked_at IS NULL
+           AND rt.expires_at > CURRENT_TIMESTAMP
+         GROUP BY s.id
+         ORDER BY s.last_seen_at DESC`,
+        [userId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<boolean>} True if an active session was revoked
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    try {
+      const result = await db.query(
+        `UPDATE user_sessions
+         SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [sessionId, reason]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Why the sessions were revoked
+   * @param {string|null} exceptSessionId - Session to keep active (e.g. the current one)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllUserSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    try {
+      const result = await db.query(
+        `UPDATE user_sessions
+         SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL
+           AND ($3::UUID IS NULL OR id <> $3::UUID)
+         RETURNING id`,
+        [userId, reason, exceptSessionId]
+      );
+
+      return result.rows.length;
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = SessionModel;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { verifyCode } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalise and hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Two-factor model for TOTP enrolment state and recovery codes
+ */
+const TwoFactorModel = {
+  /**
+   * Store a secret that is waiting to be confirmed with a first code
+   * @param {number} userId - User ID
+   * @param {string} secret - Base32 TOTP secret
+   * @returns {Promise<void>}
+   */
+  async setPendingSecret(userId, secret) {
+    try {
+      await db.query(
+        `UPDATE users
+         SET totp_secret = $2, totp_enabled = false, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [userId, secret]
+      );
+    } catch (error) {
+      console.error('Error storing pending TOTP secret:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turn on two-factor authentication and issue a fresh set of recovery codes
+   * @param {number} userId - User ID
+   * @param {number} verifiedStep - Time step of the code that confirmed enrolment
+   * @returns {Promise<Array<string>>} Plain recovery codes, shown to the user once
+   */
+  async enable(userId, verifiedStep) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE users
+         SET totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $2
+         WHERE id = $1`,
+        [userId, verifiedStep]
+      );
+
+      const codes = await this.replaceRecoveryCodes(client, userId);
+
+      await client.query('COMMIT');
+      return codes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error enabling two-factor authentication:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Turn off two-factor authentication and delete the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async disable(userId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE users
+         SET totp_secret = NULL, totp_enabled = false, totp_enabled_at = NULL, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error disabling two-factor authentication:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Remember the last accepted time step so the same code cannot be used twice
+   * @param {number} userId - User ID
+   * @param {number} step - Accepted time step
+   * @returns {Promise<boolean>} False if a code for this or a later step was already used
+   */
+  async markStepUsed(userId, step) {
+    try {
+      const result = await db.query(
+        `UPDATE users
+         SET totp_last_used_step = $2
+         WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+         RETURNING id`,
+        [userId, step]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error recording TOTP step:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace all recovery codes of a user
+   * @param {Object} client - Database client (pool or transaction client)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Plain recovery codes
+   */
+  async replaceRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+      await client.query(
+        'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+
+    return codes;
+  },
+
+  /**
+   * Issue a new set of recovery codes, invalidating the old ones
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Plain recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const codes = await this.replaceRecoveryCodes(client, userId);
+      await client.query('COMMIT');
+      return codes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error regenerating recovery codes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Use up a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code entered by the user
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  async consumeRecoveryCode(userId, code) {
+    try {
+      // used_at is checked again on the row being updated: a concurrent login that spent the
+      // code first makes this update match nothing, so the code counts as invalid
+      const result = await db.query(
+        `UPDATE recovery_codes
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM recovery_codes
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+         )
+           AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashRecoveryCode(code)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error consuming recovery code:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check a second factor: either a current TOTP code or an unused recovery code
+   * @param {Object} user - User row with totp_secret and totp_last_used_step
+   * @param {Object} factor - { code, recovery_code }
+   * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted, null otherwise
+   */
+  async verifySecondFactor(user, { code, recovery_code }) {
+    if (code && user.totp_secret) {
+      const step = verifyCode(user.totp_secret, code, { lastUsedStep: user.totp_last_used_step });
+
+      // markStepUsed loses the race if the same code was just accepted elsewhere
+      if (step !== null && await this.markStepUsed(user.id, step)) {
+        return 'totp';
+      }
+
+      return null;
+    }
+
+    if (recovery_code && await this.consumeRecoveryCode(user.id, recovery_code)) {
+      return 'recovery_code';
+    }
+
+    return null;
+  },
+
+  /**
+   * Count unused recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Remaining codes
+   */
+  async countRemainingRecoveryCodes(userId) {
+    try {
+      const result = await db.query(
+        'SELECT COUNT(*) FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting recovery codes:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = TwoFactorModel;
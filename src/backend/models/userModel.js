@@ -1,4 +1,37 @@
 const db = require('../config/db');
+const { isValidEmail, isE164Phone, isHttpUrl, isNonEmptyString } = require('../utils/validators');
+
+/**
+ * Profile fields users may change, with their validation rules.
+ * Anything not listed here (id, firebase_uid, created_at, credentials...) is never updatable through the profile API.
+ */
+const PROFILE_FIELDS = {
+  first_name: {
+    required: true,
+    validate: value => isNonEmptyString(value, 100),
+    message: 'First name must be between 1 and 100 characters'
+  },
+  last_name: {
+    required: true,
+    validate: value => isNonEmptyString(value, 100),
+    message: 'Last name must be between 1 and 100 characters'
+  },
+  email: {
+    required: true,
+    validate: isValidEmail,
+    message: 'Email must be a valid email address'
+  },
+  phone_number: {
+    required: false,
+    validate: isE164Phone,
+    message: 'Phone number must be in E.164 format, e.g. +2348012345678'
+  },
+  profile_picture: {
+    required: false,
+    validate: value => isHttpUrl(value, 255),
+    message: 'Profile picture must be an http(s) URL of at most 255 characters'
+  }
+};
 
 /**
  * User model for handling user-related database operations
@@ -46,6 +79,25 @@ const UserModel = {
     }
   },
   
+  /**
+   * Get user by email address
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  async getUserByEmail(email) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM users WHERE email = $1',
+        [email]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting user by email:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Get user by ID
    * @param {number} userId - User ID
@@ -73,20 +125,38 @@ const UserModel = {
    */
   async updateUser(userId, updateData) {
     try {
-      // Create SET clause and values for dynamic updates
-      const keys = Object.keys(updateData);
-      const values = Object.values(updateData);
+      // Only allow-listed profile columns ever reach the SET clause
+      const keys = Object.keys(updateData).filter(key => PROFILE_FIELDS[key]);
+      const values = keys.map(key => updateData[key]);
       
       if (keys.length === 0) {
         return await this.getUserById(userId);
       }
       
-      const setClause = keys
-        .map((key, index) => `${key} = $${index + 2}`)
-        .join(', ');
+      const assignments = keys.map((key, index) => `${key} = $${index + 2}`);
+      let revokeTokens = '';
+      
+      // A new email address has to be verified again (the SET sees the old email), and pending
+      // reset and verification links sent to the old address stop working in the same statement
+      if (keys.includes('email')) {
+        const emailParam = `$${keys.indexOf('email') + 2}`;
+        
+        assignments.push(
+          `email_verified_at = CASE WHEN email IS DISTINCT FROM ${emailParam} THEN NULL ELSE email_verified_at END`
+        );
+        revokeTokens = `WITH revoked_tokens AS (
+           DELETE FROM user_tokens
+           WHERE user_id = $1 AND used_at IS NULL
+             AND purpose IN ('password_reset', 'email_verification')
+             AND EXISTS (SELECT 1 FROM users WHERE id = $1 AND email IS DISTINCT FROM ${emailParam})
+         )
+         `;
+      }
+      
+      const setClause = assignments.join(', ');
       
       const result = await db.query(
-        `UPDATE users
+        `${revokeTokens}UPDATE users
          SET ${setClause}, updated_at = CURRENT_TIMESTAMP
          WHERE id = $1
          RETURNING *`,
@@ -100,6 +170,91 @@ const UserModel = {
     }
   },
   
+  /**
+   * Validate a profile update against the allow-listed fields
+   * @param {Object} data - Requested changes
+   * @returns {Object} { updates, errors } with trimmed values and a list of problems
+   */
+  validateProfileUpdate(data = {}) {
+    const updates = {};
+    const errors = [];
+    
+    for (const [field, rawValue] of Object.entries(data)) {
+      const rule = PROFILE_FIELDS[field];
+      
+      if (!rule) {
+        errors.push(`Field "${field}" cannot be updated`);
+        continue;
+      }
+      
+      // Optional fields can be cleared with null or an empty string
+      if (rawValue === null || rawValue === '') {
+        if (rule.required) {
+          errors.push(rule.message);
+        } else {
+          updates[field] = null;
+        }
+        continue;
+      }
+      
+      const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+      
+      if (!rule.validate(value)) {
+        errors.push(rule.message);
+        continue;
+      }
+      
+      updates[field] = value;
+    }
+    
+    return { updates, errors };
+  },
+  
+  /**
+   * Store a new password hash for a user
+   * @param {number} userId - User ID
+   * @param {string} passwordHash - Encoded password hash
+   * @returns {Promise<Object|null>} Updated user or null if not found
+   */
+  async setPasswordHash(userId, passwordHash) {
+    try {
+      const result = await db.query(
+        `UPDATE users
+         SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [userId, passwordHash]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error setting user password:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Mark a user's email address as verified
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Updated user or null if not found
+   */
+  async markEmailVerified(userId) {
+    try {
+      const result = await db.query(
+        `UPDATE users
+         SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $1
+         RETURNING *`,
+        [userId]
+      );
+      
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error marking email verified:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Get all users (with optional pagination)
    * @param {number} limit - Number of users to return (default: 100)
@@ -120,6 +275,20 @@ const UserModel = {
     }
   },
   
+  /**
+   * Count all users
+   * @returns {Promise<number>} Number of users
+   */
+  async countUsers() {
+    try {
+      const result = await db.query('SELECT COUNT(*) FROM users');
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting users:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Generate display picture initials from first and last name
    * @param {string} firstName - User's first name
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+/**
+ * Hash an account token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * User token model for one-time, expiring account tokens
+ * (password reset and email verification links)
+ */
+const UserTokenModel = {
+  /**
+   * Issue a new token for a purpose, invalidating any earlier unused token for it
+   * @param {number} userId - User ID
+   * @param {string} purpose - 'password_reset' or 'email_verification'
+   * @param {number} ttlMinutes - Minutes until the token expires
+   * @returns {Promise<string>} Raw token to send to the user
+   */
+  async createToken(userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `DELETE FROM user_tokens
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+      );
+
+      await client.query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4::INT))`,
+        [userId, purpose, hashToken(token), ttlMinutes]
+      );
+
+      await client.query('COMMIT');
+      return token;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating user token:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Look up an unused, unexpired token without consuming it
+   * @param {string} token - Raw token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Token row or null if it is not valid
+   */
+  async findValidToken(token, purpose) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM user_tokens
+         WHERE token_hash = $1 AND purpose = $2
+           AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(token), purpose]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding user token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a token as used. Only one caller can consume a given token.
+   * @param {string} token - Raw token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<number|null>} ID of the token's user, or null if it was not valid
+   */
+  async consumeToken(token, purpose) {
+    try {
+      const result = await db.query(
+        `UPDATE user_tokens
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2
+           AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashToken(token), purpose]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+    } catch (error) {
+      console.error('Error consuming user token:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = UserTokenModel;
@@ -0,0 +1,56 @@
+/**
+ * Property serializer
+ * Removes columns that only exist for the database's benefit (search vectors, ...)
+ * before a property row is returned by the API, and adds the price change flags.
+ */
+
+const INTERNAL_COLUMNS = ['search_vector'];
+
+/**
+ * Describe the move from one asking price to another
+ * @param {number|string|null} previousWorth - Earlier price (DECIMAL columns arrive as strings)
+ * @param {number|string|null} currentWorth - Later price
+ * @returns {Object} { price_reduced, price_change_pct }; the percentage is null without two prices to compare
+ */
+const priceChange = (previousWorth, currentWorth) => {
+  const previous = previousWorth === null || previousWorth === undefined ? NaN : Number(previousWorth);
+  const current = currentWorth === null || currentWorth === undefined ? NaN : Number(currentWorth);
+
+  if (!Number.isFinite(previous) || !Number.isFinite(current) || previous === 0) {
+    return { price_reduced: false, price_change_pct: null };
+  }
+
+  return {
+    price_reduced: current < previous,
+    price_change_pct: Math.round(((current - previous) / previous) * 10000) / 100
+  };
+};
+
+/**
+ * Serialize a property row
+ * @param {Object|null} property - Property row
+ * @returns {Object|null} Property without internal columns, with price_reduced and
+ *   price_change_pct relative to the price before the latest change
+ */
+const serializeProperty = (property) => {
+  if (!property) {
+    return property;
+  }
+
+  const serialized = { ...property };
+
+  for (const column of INTERNAL_COLUMNS) {
+    delete serialized[column];
+  }
+
+  if (serialized.current_worth !== undefined) {
+    Object.assign(serialized, priceChange(serialized.previous_worth, serialized.current_worth));
+  }
+
+  return serialized;
+};
+
+module.exports = {
+  priceChange,
+  serializeProperty
+};
@@ -0,0 +1,138 @@
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * User serializers
+ * Every user object leaving the API goes through one of three allow-listed views:
+ * - public: what anyone may see about another user
+ * - self:   what users see about their own account
+ * - admin:  account and security state, for holders of users:read:any
+ * Columns not listed here (password and TOTP secrets, ...) are never serialized.
+ */
+
+const PUBLIC_FIELDS = ['id', 'first_name', 'last_name', 'profile_picture', 'created_at'];
+
+const SELF_FIELDS = [
+  ...PUBLIC_FIELDS,
+  'email',
+  'phone_number',
+  'email_verified_at',
+  'totp_enabled',
+  'updated_at',
+  'roles'
+];
+
+const ADMIN_FIELDS = [
+  ...SELF_FIELDS,
+  'firebase_uid',
+  'password_changed_at',
+  'totp_enabled_at',
+  'failed_login_count',
+  'last_failed_login_at',
+  'locked_until'
+];
+
+const VIEWS = {
+  public: PUBLIC_FIELDS,
+  self: SELF_FIELDS,
+  admin: ADMIN_FIELDS
+};
+
+/**
+ * Serialize a user row for a view
+ * @param {Object|null} user - User row
+ * @param {string} view - 'public', 'self' or 'admin'
+ * @returns {Object|null} Serialized user
+ */
+const serializeUser = (user, view = 'public') => {
+  if (!user) {
+    return null;
+  }
+
+  const fields = VIEWS[view];
+
+  if (!fields) {
+    throw new Error(`Unknown user view: ${view}`);
+  }
+
+  const serialized = {};
+
+  for (const field of fields) {
+    if (user[field] !== undefined) {
+      serialized[field] = user[field];
+    }
+  }
+
+  if (view === 'admin' && user.password_hash !== undefined) {
+    serialized.has_password = Boolean(user.password_hash);
+  }
+
+  return serialized;
+};
+
+/**
+ * Pick the view a viewer is entitled to for a user
+ * @param {Object|null} viewer - Authenticated user (req.user) or null for anonymous visitors
+ * @param {Object} user - User being serialized
+ * @returns {string} View name
+ */
+const resolveUserView = (viewer, user) => {
+  if (!viewer) {
+    return 'public';
+  }
+
+  if (hasPermission(viewer, 'users:read:any')) {
+    return 'admin';
+  }
+
+  return Number(viewer.id) === Number(user.id) ? 'self' : 'public';
+};
+
+/**
+ * Serialize a user with the view the viewer is entitled to
+ * @param {Object|null} viewer - Authenticated user or null
+ * @param {Object|null} user - User row
+ * @returns {Object|null} Serialized user
+ */
+const serializeUserFor = (viewer, user) => {
+  return user ? serializeUser(user, resolveUserView(viewer, user)) : null;
+};
+
+/**
+ * SELECT list for a joined users table, exposing only public fields under a prefix.
+ * Use with extractJoinedUser to turn the columns back into a nested object.
+ * @param {string} alias - Table alias of the joined users table
+ * @param {string} prefix - Column prefix, e.g. 'voter'
+ * @returns {string} SQL select list
+ */
+const joinedUserColumns = (alias, prefix) => {
+  return PUBLIC_FIELDS.map(field => `${alias}.${field} AS ${prefix}_${field}`).join(', ');
+};
+
+/**
+ * Move the columns selected with joinedUserColumns into a public user object.
+ * Also sets the "<prefix>_name" display name the API has always returned.
+ * @param {Object} row - Query result row (modified in place)
+ * @param {string} prefix - Column prefix used in joinedUserColumns
+ * @returns {Object} The row
+ */
+const extractJoinedUser = (row, prefix) => {
+  const user = {};
+
+  for (const field of PUBLIC_FIELDS) {
+    user[field] = row[`${prefix}_${field}`];
+    delete row[`${prefix}_${field}`];
+  }
+
+  row[prefix] = user.id === null || user.id === undefined ? null : user;
+  row[`${prefix}_name`] = row[prefix] ? `${user.first_name} ${user.last_name}` : null;
+
+  return row;
+};
+
+module.exports = {
+  serializeUser,
+  resolveUserView,
+  serializeUserFor,
+  joinedUserColumns,
+  extractJoinedUser
+};
@@ -2,7 +2,42 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const path = require("path");
-const { authenticateJWT, generateToken } = require("./config/auth");
+const { issueAuthTokens, refreshAuthTokens, generateTwoFactorChallenge, verifyTwoFactorChallenge } = require("./config/auth");
+const { authenticate, authenticateClient, optionalAuth } = require("./middleware/authMiddleware");
+const { requirePermission, requireVerifiedEmail } = require("./middleware/permissionMiddleware");
+const { ROLES, hasPermission } = require("./config/permissions");
+const { LISTING_STATUSES, PUBLIC_LISTING_STATUSES, INITIAL_LISTING_STATUSES, STATUS_TRANSITIONS, canTransition, isVotingOpen, visibleListingCondition } = require("./config/listingStatus");
+const keyStore = require("./config/keyStore");
+const UserModel = require("./models/userModel");
+const SessionModel = require("./models/sessionModel");
+const RoleModel = require("./models/roleModel");
+const PropertyModel = require("./models/propertyModel");
+const PropertyRevisionModel = require("./models/propertyRevisionModel");
+const PropertyPriceHistoryModel = require("./models/propertyPriceHistoryModel");
+const CategoryModel = require("./models/categoryModel");
+const { hashPassword, verifyPassword, verifyDummyPassword, validatePasswordStrength } = require("./utils/password");
+const loginProtection = require("./utils/loginProtection");
+const SecurityEventModel = require("./models/securityEventModel");
+const LoginAttemptModel = require("./models/loginAttemptModel");
+const ContactRevealModel = require("./models/contactRevealModel");
+const AccountDataModel = require("./models/accountDataModel");
+const ApiKeyModel = require("./models/apiKeyModel");
+const ImportJobModel = require("./models/importJobModel");
+const { API_KEY_SCOPES } = require("./config/permissions");
+const { createZip } = require("./utils/zip");
+const { toCsv } = require("./utils/csv");
+const { parsePropertyQuery } = require("./utils/propertyQuery");
+const { MAX_IMPORT_ROWS, validateMapping, readImportRows, checkMappedColumns, mapImportRow, buildImportReport } = require("./utils/propertyImport");
+const { isLatitude, isLongitude, isHttpUrl, isPositiveInteger } = require("./utils/validators");
+const { ADDRESS_FIELDS, normalizeAddress, hasAddressFields, parseLocation, formatLocation } = require("./utils/address");
+const { validateAttributeSchema, resolveAttributeFilters } = require("./utils/attributes");
+const { serializeProperty } = require("./serializers/propertySerializer");
+const TwoFactorModel = require("./models/twoFactorModel");
+const totp = require("./utils/totp");
+const UserTokenModel = require("./models/userTokenModel");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("./utils/accountEmails");
+const { getTransportName } = require("./utils/mailer");
+const { serializeUser, serializeUserFor, joinedUserColumns, extractJoinedUser } = require("./serializers/userSerializer");
 require("dotenv").config();
 
 // Force production environment
@@ -17,10 +52,37 @@ const propertyImagesRouter = require("./models/property_images");
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const CONTACT_REVEAL_DAILY_LIMIT = parseInt(process.env.CONTACT_REVEAL_DAILY_LIMIT || '20');
+const LISTING_ERASURE_POLICY = process.env.LISTING_ERASURE_POLICY || 'delete';
+const API_KEY_MAX_TTL_DAYS = parseInt(process.env.API_KEY_MAX_TTL_DAYS || '365');
+const GEOJSON_MAX_FEATURES = 1000;
+const IMPORT_BATCH_SIZE = 50;
+// Optional comma-separated price band boundaries for GET /properties/facets (e.g. in naira)
+const PRICE_FACET_BOUNDARIES = process.env.PRICE_FACET_BOUNDARIES
+  ? process.env.PRICE_FACET_BOUNDARIES.split(",").map(Number)
+  : undefined;
+
+if (!AccountDataModel.LISTING_ERASURE_POLICIES.includes(LISTING_ERASURE_POLICY)) {
+  throw new Error(`Unknown LISTING_ERASURE_POLICY: ${LISTING_ERASURE_POLICY}`);
+}
+
+if (process.env.GEO_BACKEND && !PropertyModel.GEO_BACKENDS.includes(process.env.GEO_BACKEND)) {
+  throw new Error(`Unknown GEO_BACKEND: ${process.env.GEO_BACKEND}`);
+}
+
+// Fail at startup rather than on the first password reset
+getTransportName();
+
+if (PRICE_FACET_BOUNDARIES && PRICE_FACET_BOUNDARIES.some((value, index) => !(value > (index > 0 ? PRICE_FACET_BOUNDARIES[index - 1] : 0)))) {
+  throw new Error("PRICE_FACET_BOUNDARIES must be ascending positive numbers");
+}
 
 // Skip migrations for now to avoid errors - we'll handle them separately
 console.log("Skipping migrations on startup to avoid errors");
 
+// Render terminates TLS at its proxy; trust it so req.ip is the real client address
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(helmet()); // Security headers
 
@@ -48,15 +110,147 @@ app.use(cors({
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'X-API-Key'],
   credentials: true
 }));
 
 app.use(express.json({ limit: '10mb' })); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded request bodies
 
-// Use our JWT authentication middleware instead of Firebase
-const authenticateUser = authenticateJWT;
+// Accepts local JWTs and Firebase ID tokens (see AUTH_STRATEGIES) and loads the database user
+const authenticateUser = authenticate;
+
+// Also accepts scoped API keys; used by the routes partner integrations call
+const authenticateUserOrKey = authenticateClient;
+
+// Owner lookups used by permission checks on ":own" permissions
+const userSelf = (req) => req.params.id;
+const propertyOwner = (req) => PropertyModel.getPropertyOwnerId(req.params.id);
+const voteOwner = async (req) => {
+  const result = await db.query("SELECT user_id FROM votes WHERE id = $1", [req.params.id]);
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+const apiKeyOwner = async (req) => {
+  const apiKey = await ApiKeyModel.getKeyById(req.params.id);
+  return apiKey ? apiKey.user_id : null;
+};
+
+// Device details stored with a login session
+const deviceInfo = (req) => ({
+  user_agent: req.get("user-agent") || null,
+  ip_address: req.ip
+});
+
+// Listing coordinates from a request body: null when neither is given, both null to clear them,
+// otherwise both must be valid
+const parseCoordinates = (body) => {
+  if (body.latitude === undefined && body.longitude === undefined) {
+    return null;
+  }
+  
+  if (body.latitude === null && body.longitude === null) {
+    return { latitude: null, longitude: null };
+  }
+  
+  if (!isLatitude(body.latitude) || !isLongitude(body.longitude)) {
+    return { error: "latitude (-90 to 90) and longitude (-180 to 180) must be provided together" };
+  }
+  
+  return { latitude: Number(body.latitude), longitude: Number(body.longitude) };
+};
+
+// Owners and moderators can see and manage listings in every status
+const canManageListing = (user, ownerId) => Boolean(user) &&
+  ((ownerId !== null && ownerId === user.id) || hasPermission(user, "properties:update:any"));
+
+// Listing queries show published listings unless the caller asks for other statuses of listings
+// they can manage: their own (user_id=<own id>) or, for moderators, anyone's.
+// Returns an error message when the requested statuses are not visible to the caller.
+const applyStatusVisibility = (filters, user) => {
+  if (!filters.status) {
+    filters.status = PUBLIC_LISTING_STATUSES;
+    return null;
+  }
+  
+  const onlyPublic = filters.status.every(status => PUBLIC_LISTING_STATUSES.includes(status));
+  
+  if (onlyPublic || hasPermission(user, "properties:update:any") || (user && filters.user_id === user.id)) {
+    return null;
+  }
+  
+  return "Unpublished listings can only be listed by their owner, with user_id set to your own ID";
+};
+
+// Address columns from a request body: the submitted fields normalised or, when only the free-text
+// location is given, whatever can be parsed from it (fields that cannot be parsed are cleared)
+const addressFromBody = (body) => {
+  if (hasAddressFields(body)) {
+    return normalizeAddress(body);
+  }
+  
+  if (typeof body.location === "string" && body.location.trim()) {
+    const parsed = parseLocation(body.location);
+    return { address: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, parsed[field] || null])), errors: [] };
+  }
+  
+  return { address: {}, errors: [] };
+};
+
+// Types the attr[...] listing filters against the attribute schemas of the queried categories.
+// Returns the errors to report as invalid query parameters.
+const resolveListingAttributes = async (filters) => {
+  if (!filters.attributes || filters.attributes.length === 0) {
+    return [];
+  }
+  
+  const schemas = await CategoryModel.getAttributeSchemas({ category_id: filters.category_id, category: filters.category });
+  const { filters: attributes, errors } = resolveAttributeFilters(filters.attributes, schemas);
+  
+  filters.attributes = attributes;
+  return errors;
+};
+
+// Runs the real import of a job after the request has been answered: valid rows are created in
+// batches, progress is stored after each batch and the report when done (or when it fails)
+const runPropertyImport = async (job, mappedRows, userId) => {
+  let results = [];
+  
+  try {
+    await ImportJobModel.startJob(job.id);
+    
+    results = await PropertyModel.importProperties(
+      mappedRows.filter(({ errors }) => errors.length === 0).map(({ data }) => data),
+      {
+        batchSize: IMPORT_BATCH_SIZE,
+        onBatch: async (batchResults) => {
+          results = batchResults;
+          const { report, ...progress } = buildImportReport(mappedRows, results);
+          await ImportJobModel.updateProgress(job.id, progress);
+        }
+      }
+    );
+    
+    const { created_count, ...outcome } = buildImportReport(mappedRows, results);
+    
+    // Listing a property makes the user an owner
+    if (created_count > 0) {
+      await RoleModel.grantRole(userId, 'owner');
+    }
+    
+    await ImportJobModel.finishJob(job.id, { status: 'completed', created_count, ...outcome });
+  } catch (error) {
+    console.error(`Error running import job ${job.id}:`, error);
+    
+    await ImportJobModel.finishJob(job.id, { status: 'failed', ...buildImportReport(mappedRows, results), error: error.message })
+      .catch(finishError => console.error(`Error recording failure of import job ${job.id}:`, finishError));
+  }
+};
+
+// Account emails are sent in the background; a mail failure must not fail the request
+// (and forgot-password must answer equally fast for known and unknown emails)
+const sendInBackground = (send, user) => {
+  send(user).catch(error => console.error(`Error sending email to user ${user.id}:`, error));
+};
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -68,6 +262,22 @@ app.get("/health", (req, res) => {
   });
 });
 
+// JSON Web Key Set so other services can verify our tokens without a shared secret
+app.get("/.well-known/jwks.json", async (req, res) => {
+  try {
+    const jwks = await keyStore.getJwks();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error("Error building JWKS:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load signing keys",
+      message: error.message
+    });
+  }
+});
+
 // Simple API documentation endpoint
 app.get("/", (req, res) => {
   res.json({
@@ -76,13 +286,29 @@ app.get("/", (req, res) => {
     description: "Backend API server for the Mipripity property voting platform",
     endpoints: {
       health: "GET /health",
+      jwks: "GET /.well-known/jwks.json",
       users: "GET, POST, PATCH, PUT, DELETE /users",
       properties: "GET, POST, PATCH, PUT, DELETE /properties", 
       votes: "GET, POST, PATCH, PUT, DELETE /votes",
       property_images: "GET, POST, PATCH, PUT, DELETE /property_images",
-      categories: "GET /categories (read-only)",
+      categories: "GET, POST /categories, PUT /categories/:id/attribute-schema",
+      roles: "GET, POST /users/:id/roles, DELETE /users/:id/roles/:role",
+      security: "POST /users/:id/unlock, GET /security/events",
+      search: "GET /properties/search?q=",
+      listing_status: "POST /properties/:id/status",
+      revisions: "GET /properties/:id/revisions, GET /properties/:id/revisions/diff?from=&to=, GET /properties/:id/revisions/:rev, POST /properties/:id/revisions/:rev/revert",
+      price_history: "GET /properties/:id/price-history",
+      import: "POST /properties/import, GET /properties/import/:jobId, GET /users/me/imports",
+      facets: "GET /properties/facets",
+      map: "GET /properties?near=lat,lng&radius_km=, GET /properties?bbox=west,south,east,north, GET /properties.geojson",
+      contact: "POST /properties/:id/contact, GET /users/me/contact-reveals",
+      account_data: "GET /users/me/export, DELETE /users/me",
+      api_keys: "GET, POST /api-keys, DELETE /api-keys/:id",
+      two_factor: "POST /auth/login/2fa, POST /auth/2fa/setup, POST /auth/2fa/verify, POST /auth/2fa/recovery-codes, POST /auth/2fa/disable",
       vote_options: "GET /vote_options (read-only)",
-      auth: "POST /auth/login, POST /auth/register"
+      auth: "POST /auth/login, POST /auth/register, POST /auth/refresh, POST /auth/logout, POST /auth/logout-all, GET /auth/me, POST /auth/change-password",
+      sessions: "GET /auth/sessions, DELETE /auth/sessions/:id",
+      account_recovery: "POST /auth/forgot-password, POST /auth/reset-password, POST /auth/verify-email, POST /auth/resend-verification"
     },
     frontend: "Frontend hosted separately on Netlify"
   });
@@ -92,14 +318,21 @@ app.get("/", (req, res) => {
 // USERS ROUTES
 // =============================================================================
 
-// GET all users
-app.get("/users", async (req, res) => {
+// GET all users (admin only, paginated)
+app.get("/users", authenticateUser, requirePermission('users:list'), async (req, res) => {
   try {
-    const result = await db.query("SELECT * FROM users ORDER BY created_at DESC");
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    const users = await UserModel.getAllUsers(limit, offset);
+    
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: users.map(user => serializeUser(user, 'admin')),
+      count: users.length,
+      total: await UserModel.countUsers(),
+      limit,
+      offset
     });
   } catch (error) {
     console.error("Error fetching users:", error);
@@ -111,8 +344,8 @@ app.get("/users", async (req, res) => {
   }
 });
 
-// GET user by ID
-app.get("/users/:id", async (req, res) => {
+// GET user by ID (public profile, or more for the user themself and admins)
+app.get("/users/:id", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const result = await db.query("SELECT * FROM users WHERE id = $1", [id]);
@@ -126,7 +359,7 @@ app.get("/users/:id", async (req, res) => {
     
     res.json({
       success: true,
-      data: result.rows[0]
+      data: serializeUserFor(req.user, result.rows[0])
     });
   } catch (error) {
     console.error("Error fetching user:", error);
@@ -157,7 +390,7 @@ app.post("/users", async (req, res) => {
     
     res.status(201).json({
       success: true,
-      data: result.rows[0],
+      data: serializeUser(result.rows[0], 'self'),
       message: "User created successfully"
     });
   } catch (error) {
@@ -170,30 +403,59 @@ app.post("/users", async (req, res) => {
   }
 });
 
-// PUT/PATCH update user
-app.put("/users/:id", authenticateUser, async (req, res) => {
+// PUT/PATCH update user profile (only the user themself or an admin)
+app.put("/users/:id", authenticateUser, requirePermission('users:update', { ownerOf: userSelf }), updateUserProfile);
+app.patch("/users/:id", authenticateUser, requirePermission('users:update', { ownerOf: userSelf }), updateUserProfile);
+
+async function updateUserProfile(req, res) {
   try {
     const { id } = req.params;
-    const { first_name, last_name, email, phone_number, profile_picture } = req.body;
     
-    const result = await db.query(
-      "UPDATE users SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), email = COALESCE($3, email), phone_number = COALESCE($4, phone_number), profile_picture = COALESCE($5, profile_picture), updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *",
-      [first_name, last_name, email, phone_number, profile_picture, id]
-    );
+    // Only documented profile fields are accepted, each validated on its own
+    const { updates, errors } = UserModel.validateProfileUpdate(req.body);
     
-    if (result.rows.length === 0) {
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid profile update",
+        details: errors
+      });
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update provided"
+      });
+    }
+    
+    const user = await UserModel.updateUser(id, updates);
+    
+    if (!user) {
       return res.status(404).json({
         success: false,
         error: "User not found"
       });
     }
     
+    if (updates.email && !user.email_verified_at) {
+      sendInBackground(sendVerificationEmail, user);
+    }
+    
     res.json({
       success: true,
-      data: result.rows[0],
+      data: serializeUserFor(req.user, user),
       message: "User updated successfully"
     });
   } catch (error) {
+    // Unique violation on users.email
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: "Email address is already in use"
+      });
+    }
+    
     console.error("Error updating user:", error);
     res.status(500).json({
       success: false,
@@ -201,453 +463,2194 @@ app.put("/users/:id", authenticateUser, async (req, res) => {
       message: error.message
     });
   }
-});
+}
 
-app.patch("/users/:id", authenticateUser, async (req, res) => {
+// GET export of everything stored about the current user (zip with JSON and CSV files)
+app.get("/users/me/export", authenticateUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const data = await AccountDataModel.collectExportData(req.user.id);
     
-    const setClause = Object.keys(updates).map((key, index) => `${key} = $${index + 1}`).join(', ');
-    const values = Object.values(updates);
-    values.push(id);
-    
-    const query = `UPDATE users SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length} RETURNING *`;
-    
-    const result = await db.query(query, values);
-    
-    if (result.rows.length === 0) {
+    if (!data) {
       return res.status(404).json({
         success: false,
         error: "User not found"
       });
     }
     
-    res.json({
-      success: true,
-      data: result.rows[0],
-      message: "User updated successfully"
+    const profile = serializeUser({ ...data.user, roles: req.user.roles }, 'self');
+    const exportedAt = new Date().toISOString();
+    
+    const archive = createZip([
+      {
+        name: "data.json",
+        content: JSON.stringify({
+          exported_at: exportedAt,
+          profile,
+          properties: data.properties,
+          property_images: data.property_images,
+          votes: data.votes
+        }, null, 2)
+      },
+      { name: "profile.csv", content: toCsv([profile]) },
+      { name: "properties.csv", content: toCsv(data.properties) },
+      { name: "property_images.csv", content: toCsv(data.property_images) },
+      { name: "votes.csv", content: toCsv(data.votes) }
+    ]);
+    
+    await SecurityEventModel.recordEvent({
+      user_id: req.user.id,
+      event_type: 'data_exported',
+      ip_address: req.ip
+    });
+    
+    const fileName = `mipripity-export-${req.user.id}-${exportedAt.slice(0, 10)}.zip`;
+    
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": String(archive.length)
     });
+    res.send(archive);
   } catch (error) {
-    console.error("Error updating user:", error);
+    console.error("Error exporting user data:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update user",
+      error: "Failed to export user data",
       message: error.message
     });
   }
 });
 
-// DELETE user
-app.delete("/users/:id", authenticateUser, async (req, res) => {
+// DELETE the current user's account (right to erasure)
+app.delete("/users/me", authenticateUser, (req, res) => eraseUserAccount(req, res, req.user.id));
+
+// DELETE user (the user themself or an admin)
+app.delete("/users/:id", authenticateUser, requirePermission('users:delete', { ownerOf: userSelf }), (req, res) => {
+  if (!isPositiveInteger(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: "User ID must be a positive integer"
+    });
+  }
+  
+  eraseUserAccount(req, res, parseInt(req.params.id));
+});
+
+async function eraseUserAccount(req, res, userId) {
   try {
-    const { id } = req.params;
+    // Users erasing their own account confirm it like a login
+    if (userId === req.user.id) {
+      const user = await UserModel.getUserById(userId);
+      const { password, code, recovery_code } = req.body || {};
+      
+      if (user.password_hash && !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({
+          success: false,
+          error: "Password is incorrect"
+        });
+      }
+      
+      if (user.totp_enabled && !(await TwoFactorModel.verifySecondFactor(user, { code, recovery_code }))) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid two-factor authentication code"
+        });
+      }
+    }
     
-    const result = await db.query("DELETE FROM users WHERE id = $1 RETURNING *", [id]);
+    const summary = await AccountDataModel.eraseAccount(userId, { listingPolicy: LISTING_ERASURE_POLICY });
     
-    if (result.rows.length === 0) {
+    if (!summary) {
       return res.status(404).json({
         success: false,
         error: "User not found"
       });
     }
     
+    await SecurityEventModel.recordEvent({
+      event_type: 'account_erased',
+      ip_address: req.ip,
+      details: {
+        ...summary,
+        erased_by: req.user.id,
+        listing_policy: LISTING_ERASURE_POLICY
+      }
+    });
+    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: "User deleted successfully"
+      data: summary,
+      message: "Account erased successfully"
+    });
+  } catch (error) {
+    console.error("Error erasing user account:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to erase user account",
+      message: error.message
+    });
+  }
+}
+
+// GET who revealed the current user's contact details on their listings
+app.get("/users/me/contact-reveals", authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    const { reveals, total } = await ContactRevealModel.listRevealsForOwner(req.user.id, { limit, offset });
+    
+    res.json({
+      success: true,
+      data: reveals,
+      count: reveals.length,
+      total,
+      limit,
+      offset
     });
   } catch (error) {
-    console.error("Error deleting user:", error);
+    console.error("Error fetching contact reveals:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to delete user",
+      error: "Failed to fetch contact reveals",
       message: error.message
     });
   }
 });
 
-// =============================================================================
-// AUTH ROUTES
-// =============================================================================
+// GET the current user's recent listing imports, without their reports
+app.get("/users/me/imports", authenticateUser, async (req, res) => {
+  try {
+    const jobs = await ImportJobModel.listJobs(req.user.id);
+    
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error("Error fetching import jobs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch import jobs",
+      message: error.message
+    });
+  }
+});
 
 // =============================================================================
-// AUTH ROUTES - Updated for JWT-based authentication
+// ROLE MANAGEMENT ROUTES
 // =============================================================================
 
-// POST register - Create a new user and generate JWT token
-app.post("/auth/register", async (req, res) => {
+// GET roles of a user
+app.get("/users/:id/roles", authenticateUser, requirePermission('roles:read', { ownerOf: userSelf }), async (req, res) => {
   try {
-    const { first_name, last_name, email, password, phone_number } = req.body;
+    const { id } = req.params;
+    const user = await UserModel.getUserById(id);
     
-    if (!first_name || !last_name || !email || !password) {
-      return res.status(400).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        error: "First name, last name, email, and password are required"
+        error: "User not found"
       });
     }
     
-    // Check if user already exists
-    const existingUser = await db.query("SELECT * FROM users WHERE email = $1", [email]);
+    res.json({
+      success: true,
+      data: {
+        roles: await RoleModel.getUserRoles(user.id),
+        assignments: await RoleModel.getRoleAssignments(user.id)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching user roles:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user roles",
+      message: error.message
+    });
+  }
+});
+
+// POST grant a role to a user
+app.post("/users/:id/roles", authenticateUser, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
     
-    if (existingUser.rows.length > 0) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
-        error: "User with this email already exists"
+        error: `Role must be one of: ${ROLES.join(', ')}`
       });
     }
     
-    // Generate a random UUID to use instead of Firebase UID
-    const user_uuid = require('crypto').randomUUID();
-    
-    // Create new user
-    const result = await db.query(
-      "INSERT INTO users (first_name, last_name, email, phone_number, firebase_uid) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-      [first_name, last_name, email, phone_number, user_uuid]
-    );
+    const user = await UserModel.getUserById(id);
     
-    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
     
-    // Generate JWT token
-    const token = generateToken(user);
+    const granted = await RoleModel.grantRole(user.id, role, req.user.id);
     
-    res.status(201).json({
+    res.status(granted ? 201 : 200).json({
       success: true,
       data: {
-        user,
-        token
+        roles: await RoleModel.getUserRoles(user.id)
       },
-      message: "User registered successfully"
+      message: granted ? "Role granted successfully" : "User already has this role"
     });
   } catch (error) {
-    console.error("Error during registration:", error);
+    console.error("Error granting role:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to register user",
+      error: "Failed to grant role",
       message: error.message
     });
   }
 });
 
-// POST login - Authenticate user and generate JWT token
-app.post("/auth/login", async (req, res) => {
+// DELETE revoke a role from a user
+app.delete("/users/:id/roles/:role", authenticateUser, requirePermission('roles:manage'), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { id, role } = req.params;
     
-    if (!email || !password) {
+    // Never leave the platform without an administrator
+    const outcome = await RoleModel.revokeRole(id, role);
+    
+    if (outcome === 'last_admin') {
       return res.status(400).json({
         success: false,
-        error: "Email and password are required"
+        error: "Cannot revoke the last admin role"
       });
     }
     
-    // Find user by email
-    const result = await db.query("SELECT * FROM users WHERE email = $1", [email]);
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({
+    if (outcome === 'not_found') {
+      return res.status(404).json({
         success: false,
-        error: "Invalid credentials"
+        error: "Role assignment not found"
       });
     }
     
-    const user = result.rows[0];
+    res.json({
+      success: true,
+      data: {
+        roles: await RoleModel.getUserRoles(id)
+      },
+      message: "Role revoked successfully"
+    });
+  } catch (error) {
+    console.error("Error revoking role:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke role",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// ACCOUNT SECURITY ROUTES
+// =============================================================================
+
+// POST unlock an account locked after repeated failed logins
+app.post("/users/:id/unlock", authenticateUser, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const counters = await loginProtection.unlockAccount(req.params.id, req.user, req.ip);
+    
+    if (!counters) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
     
-    // For demonstration, we're accepting any password
-    // In a real app, you would verify the password hash here
+    res.json({
+      success: true,
+      data: counters,
+      message: "Account unlocked successfully"
+    });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unlock account",
+      message: error.message
+    });
+  }
+});
+
+// GET security events (lockouts, blocked IPs, unlocks)
+app.get("/security/events", authenticateUser, requirePermission('security_events:read'), async (req, res) => {
+  try {
+    const { event_type, user_id, ip_address } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
     
-    // Generate JWT token
-    const token = generateToken(user);
+    const { events, total } = await SecurityEventModel.listEvents({ limit, offset, event_type, user_id, ip_address });
     
     res.json({
       success: true,
-      data: {
-        user,
-        token
-      },
-      message: "Login successful"
+      data: events,
+      count: events.length,
+      total
     });
   } catch (error) {
-    console.error("Error during login:", error);
+    console.error("Error fetching security events:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to login",
+      error: "Failed to fetch security events",
       message: error.message
     });
   }
 });
 
-// GET current user from token
-app.get("/auth/me", authenticateUser, async (req, res) => {
+// =============================================================================
+// API KEY ROUTES
+// =============================================================================
+
+// POST issue an API key acting as the current user (the key is only shown once)
+app.post("/api-keys", authenticateUser, async (req, res) => {
+  try {
+    const { name, organization, scopes, expires_in_days = API_KEY_MAX_TTL_DAYS } = req.body;
+    const errors = [];
+    
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      errors.push("Name must be between 1 and 100 characters");
+    }
+    
+    if (organization !== undefined && organization !== null &&
+        (typeof organization !== 'string' || organization.trim().length > 255)) {
+      errors.push("Organization must be at most 255 characters");
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES[scope])) {
+      errors.push(`Scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+    }
+    
+    const ttlDays = parseInt(expires_in_days);
+    
+    if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > API_KEY_MAX_TTL_DAYS) {
+      errors.push(`expires_in_days must be between 1 and ${API_KEY_MAX_TTL_DAYS}`);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid API key request",
+        details: errors
+      });
+    }
+    
+    const { apiKey, key } = await ApiKeyModel.createKey(req.user.id, {
+      name: name.trim(),
+      organization: organization ? organization.trim() : null,
+      scopes: [...new Set(scopes)],
+      expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+    });
+    
+    await SecurityEventModel.recordEvent({
+      user_id: req.user.id,
+      event_type: 'api_key_created',
+      ip_address: req.ip,
+      details: { api_key_id: apiKey.id, scopes: apiKey.scopes }
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey,
+        key
+      },
+      message: "API key created. Store it now; it cannot be shown again"
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create API key",
+      message: error.message
+    });
+  }
+});
+
+// GET API keys of the current user
+app.get("/api-keys", authenticateUser, async (req, res) => {
+  try {
+    const apiKeys = await ApiKeyModel.listKeysForUser(req.user.id);
+    
+    res.json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch API keys",
+      message: error.message
+    });
+  }
+});
+
+// DELETE revoke an API key (its owner, or a moderator)
+app.delete("/api-keys/:id", authenticateUser, requirePermission('api_keys:revoke', { ownerOf: apiKeyOwner }), async (req, res) => {
+  try {
+    const apiKey = await ApiKeyModel.revokeKey(req.params.id);
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "Active API key not found"
+      });
+    }
+    
+    await SecurityEventModel.recordEvent({
+      user_id: apiKey.user_id,
+      event_type: 'api_key_revoked',
+      ip_address: req.ip,
+      details: { api_key_id: apiKey.id, revoked_by: req.user.id }
+    });
+    
+    res.json({
+      success: true,
+      data: apiKey,
+      message: "API key revoked"
+    });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke API key",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// AUTH ROUTES
+// =============================================================================
+
+// =============================================================================
+// AUTH ROUTES - Updated for JWT-based authentication
+// =============================================================================
+
+// POST register - Create a new user and generate JWT token
+app.post("/auth/register", async (req, res) => {
+  try {
+    const { first_name, last_name, email, password, phone_number } = req.body;
+    
+    if (!first_name || !last_name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "First name, last name, email, and password are required"
+      });
+    }
+    
+    const passwordErrors = validatePasswordStrength(password, { email, first_name, last_name });
+    
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Password does not meet the strength requirements",
+        details: passwordErrors
+      });
+    }
+    
+    // Check if user already exists
+    const existingUser = await db.query("SELECT * FROM users WHERE email = $1", [email]);
+    
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "User with this email already exists"
+      });
+    }
+    
+    // Generate a random UUID to use instead of Firebase UID
+    const user_uuid = require('crypto').randomUUID();
+    
+    const password_hash = await hashPassword(password);
+    
+    // Create new user
+    const result = await db.query(
+      "INSERT INTO users (first_name, last_name, email, phone_number, firebase_uid, password_hash, password_changed_at) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP) RETURNING *",
+      [first_name, last_name, email, phone_number, user_uuid, password_hash]
+    );
+    
+    const user = result.rows[0];
+    
+    sendInBackground(sendVerificationEmail, user);
+    
+    // Start a session and issue the access/refresh token pair
+    const tokens = await issueAuthTokens(user, deviceInfo(req));
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        user: serializeUser(user, 'self'),
+        ...tokens
+      },
+      message: "User registered successfully"
+    });
+  } catch (error) {
+    console.error("Error during registration:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register user",
+      message: error.message
+    });
+  }
+});
+
+// POST login - Authenticate user and generate JWT token
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Email and password are required"
+      });
+    }
+    
+    // Find user by email
+    const result = await db.query("SELECT * FROM users WHERE email = $1", [email]);
+    const user = result.rows[0];
+    const ip = req.ip;
+    
+    // Locked accounts and IPs with too many recent failures are rejected before checking the password
+    const loginCheck = await loginProtection.checkLoginAllowed({ user, ip });
+    
+    if (!loginCheck.allowed) {
+      await loginProtection.recordBlockedLogin({ email, ip });
+      res.set('Retry-After', String(loginCheck.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Too many failed login attempts",
+        message: "Please try again later"
+      });
+    }
+    
+    // Unknown emails and accounts without a local password still pay for a hash
+    // comparison so response times do not reveal which addresses are registered
+    const passwordValid = user && user.password_hash
+      ? await verifyPassword(password, user.password_hash)
+      : await verifyDummyPassword(password);
+    
+    if (!passwordValid) {
+      // Waits out the progressive delay before answering
+      await loginProtection.recordFailedLogin({ email, user, ip });
+      
+      return res.status(401).json({
+        success: false,
+        error: "Invalid credentials"
+      });
+    }
+    
+    // Accounts with two-factor authentication finish logging in at /auth/login/2fa
+    if (user.totp_enabled) {
+      const challenge_token = await generateTwoFactorChallenge(user);
+      
+      return res.json({
+        success: true,
+        data: {
+          two_factor_required: true,
+          challenge_token
+        },
+        message: "Two-factor authentication code required"
+      });
+    }
+    
+    await loginProtection.recordSuccessfulLogin({ email, user, ip });
+    
+    // Start a session and issue the access/refresh token pair
+    const tokens = await issueAuthTokens(user, deviceInfo(req));
+    
+    res.json({
+      success: true,
+      data: {
+        user: serializeUser(user, 'self'),
+        ...tokens
+      },
+      message: "Login successful"
+    });
+  } catch (error) {
+    console.error("Error during login:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to login",
+      message: error.message
+    });
+  }
+});
+
+// POST login second step - Exchange a challenge token and a TOTP or recovery code for tokens
+app.post("/auth/login/2fa", async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+    
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        error: "Challenge token and a code or recovery code are required"
+      });
+    }
+    
+    const challenge = await verifyTwoFactorChallenge(challenge_token);
+    const user = challenge ? await UserModel.getUserById(challenge.id) : null;
+    
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+        message: "Invalid or expired challenge token"
+      });
+    }
+    
+    const ip = req.ip;
+    
+    // Wrong codes count as failed logins, so guessing codes also leads to lockout
+    const loginCheck = await loginProtection.checkLoginAllowed({ user, ip });
+    
+    if (!loginCheck.allowed) {
+      await loginProtection.recordBlockedLogin({ email: user.email, ip });
+      res.set('Retry-After', String(loginCheck.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Too many failed login attempts",
+        message: "Please try again later"
+      });
+    }
+    
+    const method = await TwoFactorModel.verifySecondFactor(user, { code, recovery_code });
+    
+    if (!method) {
+      await loginProtection.recordFailedLogin({ email: user.email, user, ip });
+      
+      return res.status(401).json({
+        success: false,
+        error: "Invalid two-factor authentication code"
+      });
+    }
+    
+    if (method === 'recovery_code') {
+      await SecurityEventModel.recordEvent({
+        user_id: user.id,
+        event_type: 'recovery_code_used',
+        ip_address: ip,
+        details: { remaining: await TwoFactorModel.countRemainingRecoveryCodes(user.id) }
+      });
+    }
+    
+    await loginProtection.recordSuccessfulLogin({ email: user.email, user, ip });
+    
+    const tokens = await issueAuthTokens(user, deviceInfo(req));
+    
+    res.json({
+      success: true,
+      data: {
+        user: serializeUser(user, 'self'),
+        ...tokens
+      },
+      message: "Login successful"
+    });
+  } catch (error) {
+    console.error("Error during two-factor login:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to login",
+      message: error.message
+    });
+  }
+});
+
+// POST refresh - Exchange a refresh token for a new access/refresh token pair
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token is required"
+      });
+    }
+    
+    const tokens = await refreshAuthTokens(
+      refresh_token,
+      (userId) => UserModel.getUserById(userId),
+      deviceInfo(req)
+    );
+    
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+        message: "Invalid or expired refresh token"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: tokens,
+      message: "Token refreshed successfully"
+    });
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh token",
+      message: error.message
+    });
+  }
+});
+
+// POST logout - Revoke the session of the current access token
+app.post("/auth/logout", authenticateUser, async (req, res) => {
+  try {
+    // Firebase sign-ins have no server-side session; the client signs out with the Firebase SDK
+    if (req.auth.sessionId) {
+      await SessionModel.revokeSession(req.auth.sessionId, 'logout');
+    }
+    
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+  } catch (error) {
+    console.error("Error during logout:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to logout",
+      message: error.message
+    });
+  }
+});
+
+// POST logout-all - Revoke every session of the current user
+app.post("/auth/logout-all", authenticateUser, async (req, res) => {
+  try {
+    const revokedCount = await SessionModel.revokeAllUserSessions(req.user.id, 'logout_all');
+    
+    res.json({
+      success: true,
+      data: {
+        revoked_sessions: revokedCount
+      },
+      message: "Logged out from all devices"
+    });
+  } catch (error) {
+    console.error("Error during logout from all devices:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to logout from all devices",
+      message: error.message
+    });
+  }
+});
+
+// GET active sessions (devices) of the current user
+app.get("/auth/sessions", authenticateUser, async (req, res) => {
+  try {
+    const sessions = await SessionModel.listActiveSessions(req.user.id);
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch sessions",
+      message: error.message
+    });
+  }
+});
+
+// DELETE revoke one of the current user's sessions
+app.delete("/auth/sessions/:id", authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Session IDs are UUIDs; anything else cannot match
+    const session = /^[0-9a-f-]{36}$/i.test(id) ? await SessionModel.getSessionById(id) : null;
+    
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+    
+    await SessionModel.revokeSession(session.id, 'user_revoked');
+    
+    res.json({
+      success: true,
+      data: {
+        current: session.id === req.auth.sessionId
+      },
+      message: "Session revoked"
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke session",
+      message: error.message
+    });
+  }
+});
+
+// GET current user from token
+app.get("/auth/me", authenticateUser, async (req, res) => {
+  try {
+    // req.user contains the database user resolved by the auth layer
+    const userId = req.user.id;
+    
+    // Get user from database
+    const result = await db.query("SELECT * FROM users WHERE id = $1", [userId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        user: serializeUser({ ...result.rows[0], roles: req.user.roles }, 'self')
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching user profile:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user profile",
+      message: error.message
+    });
+  }
+});
+
+// POST change password for the authenticated user
+app.post("/auth/change-password", authenticateUser, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: "Current password and new password are required"
+      });
+    }
+    
+    const user = await UserModel.getUserById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+    
+    const passwordValid = await verifyPassword(current_password, user.password_hash);
+    
+    if (!passwordValid) {
+      return res.status(401).json({
+        success: false,
+        error: "Current password is incorrect"
+      });
+    }
+    
+    const passwordErrors = validatePasswordStrength(new_password, user);
+    
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Password does not meet the strength requirements",
+        details: passwordErrors
+      });
+    }
+    
+    if (await verifyPassword(new_password, user.password_hash)) {
+      return res.status(400).json({
+        success: false,
+        error: "New password must be different from the current password"
+      });
+    }
+    
+    await UserModel.setPasswordHash(user.id, await hashPassword(new_password));
+    
+    // Sign out every other device; the current session stays logged in
+    await SessionModel.revokeAllUserSessions(user.id, 'password_changed', req.auth.sessionId);
+    
+    res.json({
+      success: true,
+      message: "Password changed successfully"
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to change password",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// PASSWORD RESET AND EMAIL VERIFICATION ROUTES
+// =============================================================================
+
+// POST forgot password - Email a one-time reset link
+app.post("/auth/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is required"
+      });
+    }
+    
+    const user = await UserModel.getUserByEmail(email);
+    
+    // Same answer whether or not the account exists, so emails cannot be enumerated. The lookup
+    // is the only work done before answering; the event, token and email follow in the background.
+    res.json({
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent"
+    });
+    
+    if (user) {
+      sendInBackground(async (target) => {
+        await SecurityEventModel.recordEvent({
+          user_id: target.id,
+          event_type: 'password_reset_requested',
+          ip_address: req.ip
+        });
+        await sendPasswordResetEmail(target);
+      }, user);
+    }
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to request password reset",
+      message: error.message
+    });
+  }
+});
+
+// POST reset password - Set a new password with a reset token
+app.post("/auth/reset-password", async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+    
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: "Token and new password are required"
+      });
+    }
+    
+    const resetToken = await UserTokenModel.findValidToken(token, 'password_reset');
+    const user = resetToken ? await UserModel.getUserById(resetToken.user_id) : null;
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired reset token"
+      });
+    }
+    
+    // Check the password before using up the token so the user can try again
+    const passwordErrors = validatePasswordStrength(new_password, user);
+    
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Password does not meet the strength requirements",
+        details: passwordErrors
+      });
+    }
+    
+    if (!(await UserTokenModel.consumeToken(token, 'password_reset'))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired reset token"
+      });
+    }
+    
+    await UserModel.setPasswordHash(user.id, await hashPassword(new_password));
+    
+    // The reset link proves control of the mailbox
+    await UserModel.markEmailVerified(user.id);
+    
+    // Whoever held the old password is signed out and any lockout is lifted
+    await SessionModel.revokeAllUserSessions(user.id, 'password_reset');
+    await LoginAttemptModel.resetUserFailures(user.id);
+    
+    await SecurityEventModel.recordEvent({
+      user_id: user.id,
+      event_type: 'password_reset',
+      ip_address: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password"
+    });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reset password",
+      message: error.message
+    });
+  }
+});
+
+// POST verify email - Confirm an email address with a verification token
+app.post("/auth/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Token is required"
+      });
+    }
+    
+    const userId = await UserTokenModel.consumeToken(token, 'email_verification');
+    
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired verification token"
+      });
+    }
+    
+    const user = await UserModel.markEmailVerified(userId);
+    
+    res.json({
+      success: true,
+      data: serializeUser(user, 'self'),
+      message: "Email address verified"
+    });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify email",
+      message: error.message
+    });
+  }
+});
+
+// POST resend verification - Email a new verification link to the current user
+app.post("/auth/resend-verification", authenticateUser, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: "Email address is already verified"
+      });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({
+      success: true,
+      message: "Verification email sent"
+    });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send verification email",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION ROUTES
+// =============================================================================
+
+// POST start TOTP enrolment (requires the password) - returns the secret and otpauth URI for the authenticator app
+app.post("/auth/2fa/setup", authenticateUser, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await UserModel.getUserById(req.user.id);
+    
+    if (user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled"
+      });
+    }
+    
+    // A stolen access token alone must not be enough to enrol another authenticator
+    if (user.password_hash && !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        error: "Password is incorrect"
+      });
+    }
+    
+    const secret = totp.generateSecret();
+    await TwoFactorModel.setPendingSecret(user.id, secret);
+    
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: totp.buildOtpauthUri(secret, user.email)
+      },
+      message: "Scan the code with your authenticator app, then confirm with /auth/2fa/verify"
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start two-factor setup",
+      message: error.message
+    });
+  }
+});
+
+// POST confirm TOTP enrolment with the password and a first code - returns one-time recovery codes
+app.post("/auth/2fa/verify", authenticateUser, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await UserModel.getUserById(req.user.id);
+    
+    if (user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled"
+      });
+    }
+    
+    // A stolen access token alone must not be enough to enrol another authenticator
+    if (user.password_hash && !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        error: "Password is incorrect"
+      });
+    }
+    
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Start two-factor setup first"
+      });
+    }
+    
+    const step = totp.verifyCode(user.totp_secret, code);
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor authentication code"
+      });
+    }
+    
+    const recoveryCodes = await TwoFactorModel.enable(user.id, step);
+    
+    await SecurityEventModel.recordEvent({
+      user_id: user.id,
+      event_type: 'two_factor_enabled',
+      ip_address: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes
+      },
+      message: "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once"
+    });
+  } catch (error) {
+    console.error("Error verifying two-factor setup:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to enable two-factor authentication",
+      message: error.message
+    });
+  }
+});
+
+// POST regenerate recovery codes (requires a current TOTP code)
+app.post("/auth/2fa/recovery-codes", authenticateUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await UserModel.getUserById(req.user.id);
+    
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled"
+      });
+    }
+    
+    if (!(await TwoFactorModel.verifySecondFactor(user, { code }))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor authentication code"
+      });
+    }
+    
+    const recoveryCodes = await TwoFactorModel.regenerateRecoveryCodes(user.id);
+    
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes
+      },
+      message: "Recovery codes regenerated; the previous codes no longer work"
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to regenerate recovery codes",
+      message: error.message
+    });
+  }
+});
+
+// POST disable two-factor authentication (requires the password and a code or recovery code)
+app.post("/auth/2fa/disable", authenticateUser, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = await UserModel.getUserById(req.user.id);
+    
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled"
+      });
+    }
+    
+    if (user.password_hash && !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({
+        success: false,
+        error: "Password is incorrect"
+      });
+    }
+    
+    if (!(await TwoFactorModel.verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid two-factor authentication code"
+      });
+    }
+    
+    await TwoFactorModel.disable(user.id);
+    
+    await SecurityEventModel.recordEvent({
+      user_id: user.id,
+      event_type: 'two_factor_disabled',
+      ip_address: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to disable two-factor authentication",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// PROPERTIES ROUTES
+// =============================================================================
+
+// GET all properties, with filters, sorting and pagination (see utils/propertyQuery.js).
+// Pass next_cursor back as ?after= for stable pages; ?offset= still works
+app.get("/properties", optionalAuth, async (req, res) => {
+  try {
+    const { filters, sort_by, sort_order, limit, offset, after, errors } = parsePropertyQuery(req.query);
+    errors.push(...(await resolveListingAttributes(filters)));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors
+      });
+    }
+    
+    const statusError = applyStatusVisibility(filters, req.user);
+    
+    if (statusError) {
+      return res.status(403).json({
+        success: false,
+        error: statusError
+      });
+    }
+    
+    const { properties, total, page, pages, next_cursor } = await PropertyModel.getProperties({
+      filters,
+      sort_by,
+      sort_order,
+      limit,
+      offset,
+      after
+    });
+    
+    res.json({
+      success: true,
+      data: properties,
+      count: properties.length,
+      total,
+      limit,
+      next_cursor,
+      // Page numbers only apply to offset pagination
+      ...(!after && { page, pages, offset })
+    });
+  } catch (error) {
+    console.error("Error fetching properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch properties",
+      message: error.message
+    });
+  }
+});
+
+// GET counts per filter value for the browse page; each facet ignores its own filter
+app.get("/properties/facets", optionalAuth, async (req, res) => {
+  try {
+    const { filters, errors } = parsePropertyQuery(req.query);
+    errors.push(...(await resolveListingAttributes(filters)));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors
+      });
+    }
+    
+    const statusError = applyStatusVisibility(filters, req.user);
+    
+    if (statusError) {
+      return res.status(403).json({
+        success: false,
+        error: statusError
+      });
+    }
+    
+    const facets = await PropertyModel.getFacets(filters, { priceBoundaries: PRICE_FACET_BOUNDARIES });
+    
+    res.json({
+      success: true,
+      data: facets
+    });
+  } catch (error) {
+    console.error("Error fetching property facets:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property facets",
+      message: error.message
+    });
+  }
+});
+
+// GET listings with coordinates as a GeoJSON FeatureCollection for the map view (same filters as GET /properties)
+app.get("/properties.geojson", optionalAuth, async (req, res) => {
+  try {
+    const { filters, sort_by, sort_order, limit, offset, after, errors } = parsePropertyQuery(req.query, {
+      maxLimit: GEOJSON_MAX_FEATURES
+    });
+    errors.push(...(await resolveListingAttributes(filters)));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors
+      });
+    }
+    
+    const statusError = applyStatusVisibility(filters, req.user);
+    
+    if (statusError) {
+      return res.status(403).json({
+        success: false,
+        error: statusError
+      });
+    }
+    
+    const { properties, total, next_cursor } = await PropertyModel.getProperties({
+      filters: { ...filters, has_coordinates: true },
+      sort_by,
+      sort_order,
+      limit,
+      offset,
+      after
+    });
+    
+    res.type("application/geo+json");
+    res.json({
+      type: "FeatureCollection",
+      // Foreign members; GeoJSON clients ignore them
+      total,
+      limit,
+      next_cursor,
+      features: properties.map(property => ({
+        type: "Feature",
+        id: property.id,
+        geometry: {
+          type: "Point",
+          coordinates: [property.longitude, property.latitude]
+        },
+        properties: {
+          id: property.id,
+          title: property.title,
+          location: property.location,
+          category_name: property.category_name,
+          current_worth: property.current_worth,
+          price_reduced: property.price_reduced,
+          price_change_pct: property.price_change_pct,
+          primary_image: property.primary_image,
+          vote_count: property.vote_count,
+          ...(property.distance_km !== undefined && { distance_km: property.distance_km })
+        }
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching properties GeoJSON:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch properties GeoJSON",
+      message: error.message
+    });
+  }
+});
+
+// GET full-text search over listings, ordered by relevance with highlighted snippets
+app.get("/properties/search", optionalAuth, async (req, res) => {
+  try {
+    const { filters, limit, offset, errors } = parsePropertyQuery(req.query);
+    
+    if (!filters.search) {
+      errors.push("q is required");
+    }
+    
+    errors.push(...(await resolveListingAttributes(filters)));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors
+      });
+    }
+    
+    const statusError = applyStatusVisibility(filters, req.user);
+    
+    if (statusError) {
+      return res.status(403).json({
+        success: false,
+        error: statusError
+      });
+    }
+    
+    const { properties, total } = await PropertyModel.searchProperties({
+      search: filters.search,
+      filters,
+      limit,
+      offset
+    });
+    
+    res.json({
+      success: true,
+      data: properties,
+      count: properties.length,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error("Error searching properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to search properties",
+      message: error.message
+    });
+  }
+});
+
+// GET property by ID (unpublished listings only for their owner and moderators)
+app.get("/properties/:id", optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.query(`
+      SELECT p.*, 
+             ${joinedUserColumns('u', 'owner')},
+             c.name as category_name
+      FROM properties p 
+      LEFT JOIN users u ON p.user_id = u.id 
+      LEFT JOIN categories c ON p.category_id = c.id 
+      WHERE p.id = $1
+    `, [id]);
+    
+    if (result.rows.length === 0 ||
+        (!PUBLIC_LISTING_STATUSES.includes(result.rows[0].status) && !canManageListing(req.user, result.rows[0].user_id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
+    
+    // Get images for the property
+    const property = serializeProperty(extractJoinedUser(result.rows[0], 'owner'));
+    const imagesResult = await db.query(
+      "SELECT * FROM property_images WHERE property_id = $1 ORDER BY is_primary DESC, created_at ASC",
+      [id]
+    );
+    property.images = imagesResult.rows;
+    
+    // Get vote options for this property's category
+    const voteOptionsResult = await db.query(
+      "SELECT * FROM vote_options WHERE category_id = $1 ORDER BY name ASC",
+      [property.category_id]
+    );
+    property.vote_options = voteOptionsResult.rows;
+    
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    console.error("Error fetching property:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property",
+      message: error.message
+    });
+  }
+});
+
+// POST reveal the owner's contact details (verified users, limited per day, logged for the owner)
+app.post("/properties/:id/contact", authenticateUser, requireVerifiedEmail(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.query(`
+      SELECT p.id, p.user_id, p.status, u.first_name, u.last_name, u.email, u.phone_number
+      FROM properties p 
+      LEFT JOIN users u ON p.user_id = u.id 
+      WHERE p.id = $1
+    `, [id]);
+    
+    if (result.rows.length === 0 ||
+        (!PUBLIC_LISTING_STATUSES.includes(result.rows[0].status) && !canManageListing(req.user, result.rows[0].user_id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
+    
+    const property = result.rows[0];
+    
+    // Listings kept after their owner erased the account have no contact
+    if (!property.user_id) {
+      return res.status(404).json({
+        success: false,
+        error: "This listing no longer has an owner to contact"
+      });
+    }
+    const isOwner = property.user_id === req.user.id;
+    
+    // Owners viewing their own listing are not logged or counted, and neither are
+    // repeat reveals of a listing the user already revealed today
+    if (!isOwner) {
+      const outcome = await ContactRevealModel.recordReveal({
+        property_id: property.id,
+        owner_id: property.user_id,
+        viewer_id: req.user.id,
+        ip_address: req.ip
+      }, { limit: CONTACT_REVEAL_DAILY_LIMIT, windowHours: 24 });
+      
+      if (outcome === 'limit_reached') {
+        return res.status(429).json({
+          success: false,
+          error: "Daily contact reveal limit reached",
+          message: `You can reveal the contact details of up to ${CONTACT_REVEAL_DAILY_LIMIT} listings per day`
+        });
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        property_id: property.id,
+        owner_name: `${property.first_name} ${property.last_name}`,
+        owner_email: property.email,
+        owner_phone: property.phone_number
+      }
+    });
+  } catch (error) {
+    console.error("Error revealing owner contact:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reveal owner contact",
+      message: error.message
+    });
+  }
+});
+
+// POST create new property
+app.post("/properties", authenticateUserOrKey, requireVerifiedEmail(), requirePermission('properties:create'), async (req, res) => {
+  try {
+    const { 
+      title, 
+      description, 
+      location, 
+      category_id, 
+      current_worth,
+      year_of_construction,
+      status = "published"
+    } = req.body;
+    
+    const user_id = req.user.id;
+    
+    if (!INITIAL_LISTING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `New listings must be created as ${INITIAL_LISTING_STATUSES.join(" or ")}`
+      });
+    }
+    
+    const { address, errors: addressErrors } = addressFromBody(req.body);
+    
+    if (addressErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid address",
+        details: addressErrors
+      });
+    }
+    
+    // Without a free-text location, the display text is built from the address
+    const displayLocation = location || formatLocation(address);
+    
+    if (!title || !description || !displayLocation || !category_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Title, description, location (or address fields), and category_id are required"
+      });
+    }
+    
+    const coordinates = parseCoordinates(req.body) || { latitude: null, longitude: null };
+    
+    if (coordinates.error) {
+      return res.status(400).json({
+        success: false,
+        error: coordinates.error
+      });
+    }
+    
+    // Address fields are passed explicitly so the model does not parse the location again.
+    // The model checks the category and validates the attributes against its schema.
+    const property = await PropertyModel.createProperty({
+      title,
+      description,
+      location: displayLocation,
+      category_id,
+      user_id,
+      current_worth,
+      year_of_construction,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      status,
+      attributes: req.body.attributes,
+      ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] || null]))
+    });
+    
+    // Listing a property makes the user an owner
+    await RoleModel.grantRole(user_id, 'owner');
+    
+    res.status(201).json({
+      success: true,
+      data: property,
+      message: "Property created successfully"
+    });
+  } catch (error) {
+    if (error.code === PropertyModel.INVALID_PROPERTY) {
+      return res.status(400).json({
+        success: false,
+        error: error.reason,
+        ...(error.details.length > 0 && { details: error.details })
+      });
+    }
+    
+    console.error("Error creating property:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create property",
+      message: error.message
+    });
+  }
+});
+
+// POST import listings from CSV or JSON with an optional column mapping (see utils/propertyImport.js).
+// dry_run only validates and returns the per-row report; otherwise the import continues in the
+// background and GET /properties/import/:jobId reports its progress. CSV can also be sent as the
+// text/csv body, with the options in the query string.
+app.post("/properties/import", authenticateUserOrKey, requireVerifiedEmail(), requirePermission('properties:create'), express.text({ type: "text/csv", limit: '10mb' }), async (req, res) => {
+  try {
+    const options = typeof req.body === "string" ? { ...req.query, csv: req.body } : req.body;
+    const { mapping, status = "published" } = options;
+    const dryRun = options.dry_run === true || options.dry_run === "true";
+    const skipInvalid = options.skip_invalid === true || options.skip_invalid === "true";
+    
+    const { rows, columns, errors } = readImportRows(options);
+    errors.push(...validateMapping(mapping));
+    
+    if (columns && errors.length === 0) {
+      errors.push(...checkMappedColumns(mapping, columns));
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS) {
+      errors.push(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+    
+    if (!INITIAL_LISTING_STATUSES.includes(status)) {
+      errors.push(`status must be ${INITIAL_LISTING_STATUSES.join(" or ")}`);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid import",
+        details: errors
+      });
+    }
+    
+    const categories = await CategoryModel.getAllCategories();
+    const mappedRows = rows.map(row => mapImportRow(row, { mapping, categories, userId: req.user.id, defaultStatus: status }));
+    const { report, ...counts } = buildImportReport(mappedRows, dryRun ? null : []);
+    const invalidRows = report.rows.filter(row => row.status === "invalid");
+    
+    // Without skip_invalid a real run needs every row to be valid
+    if (!dryRun && invalidRows.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        error: "Some rows are invalid",
+        message: "Fix the rows or pass skip_invalid to import only the valid ones",
+        details: invalidRows
+      });
+    }
+    
+    const job = await ImportJobModel.createJob({
+      user_id: req.user.id,
+      format: columns ? "csv" : "json",
+      dry_run: dryRun,
+      total_rows: rows.length
+    });
+    
+    if (dryRun) {
+      const finishedJob = await ImportJobModel.finishJob(job.id, { status: "completed", ...counts, report });
+      
+      return res.json({
+        success: true,
+        data: finishedJob,
+        message: invalidRows.length > 0
+          ? `${invalidRows.length} of ${rows.length} rows are invalid`
+          : `All ${rows.length} rows are valid`
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Importing ${rows.length - invalidRows.length} listings; follow the progress at /properties/import/${job.id}`
+    });
+    
+    runPropertyImport(job, mappedRows, req.user.id);
+  } catch (error) {
+    console.error("Error importing properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import properties",
+      message: error.message
+    });
+  }
+});
+
+// GET the progress and report of an import job (the user who started it, or moderators)
+app.get("/properties/import/:jobId", authenticateUserOrKey, async (req, res) => {
+  try {
+    if (!isPositiveInteger(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Import job ID must be a positive integer"
+      });
+    }
+    
+    const job = await ImportJobModel.getJob(req.params.jobId);
+    
+    if (!job || (job.user_id !== req.user.id && !hasPermission(req.user, "properties:update:any"))) {
+      return res.status(404).json({
+        success: false,
+        error: "Import job not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error("Error fetching import job:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch import job",
+      message: error.message
+    });
+  }
+});
+
+// PUT update property
+app.put("/properties/:id", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, location, category_id, current_worth, year_of_construction } = req.body;
+    const coordinates = parseCoordinates(req.body);
+    
+    if (coordinates && coordinates.error) {
+      return res.status(400).json({
+        success: false,
+        error: coordinates.error
+      });
+    }
+    
+    const { address, errors: addressErrors } = addressFromBody(req.body);
+    
+    if (addressErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid address",
+        details: addressErrors
+      });
+    }
+    
+    // As before, null leaves these fields unchanged; coordinates and address fields can be cleared
+    const updates = { title, description, location, category_id, current_worth, year_of_construction };
+    
+    for (const field of Object.keys(updates)) {
+      if (updates[field] === null) {
+        delete updates[field];
+      }
+    }
+    
+    if (req.body.images !== undefined) {
+      if (!Array.isArray(req.body.images) || !req.body.images.every(image => image && isHttpUrl(image.image_url))) {
+        return res.status(400).json({
+          success: false,
+          error: "images must be a list of { image_url, is_primary } with http(s) URLs"
+        });
+      }
+      
+      updates.images = req.body.images;
+    }
+    
+    // The model merges the submitted attributes into the stored ones under the listing lock
+    updates.attributes = req.body.attributes;
+    
+    const property = await PropertyModel.updateProperty(id, { ...updates, ...coordinates, ...address }, { userId: req.user.id });
+    
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: property,
+      message: "Property updated successfully"
+    });
+  } catch (error) {
+    if (error.code === PropertyModel.INVALID_PROPERTY) {
+      return res.status(400).json({
+        success: false,
+        error: error.reason,
+        ...(error.details.length > 0 && { details: error.details })
+      });
+    }
+    
+    console.error("Error updating property:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update property",
+      message: error.message
+    });
+  }
+});
+
+// POST move a listing to another status (see config/listingStatus.js for the allowed transitions)
+app.post("/properties/:id/status", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    
+    if (!LISTING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${LISTING_STATUSES.join(", ")}`
+      });
+    }
+    
+    const result = await db.query("SELECT id, status FROM properties WHERE id = $1", [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
+    
+    const currentStatus = result.rows[0].status;
+    
+    if (!canTransition(currentStatus, status)) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${currentStatus} listing cannot be moved to ${status}`,
+        status: currentStatus,
+        allowed_transitions: STATUS_TRANSITIONS[currentStatus]
+      });
+    }
+    
+    const property = await PropertyModel.changeStatus(id, currentStatus, status, req.user.id);
+    
+    if (!property) {
+      return res.status(409).json({
+        success: false,
+        error: "The listing status changed meanwhile, please retry"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...property,
+        allowed_transitions: STATUS_TRANSITIONS[property.status]
+      },
+      message: `Listing moved from ${currentStatus} to ${status}`
+    });
+  } catch (error) {
+    console.error("Error changing property status:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to change property status",
+      message: error.message
+    });
+  }
+});
+
+// GET the asking price time series of a listing, oldest first (same visibility as the listing)
+app.get("/properties/:id/price-history", optionalAuth, async (req, res) => {
   try {
-    // req.user contains the decoded JWT payload
-    const userId = req.user.id;
-    
-    // Get user from database
-    const result = await db.query("SELECT * FROM users WHERE id = $1", [userId]);
+    const { id } = req.params;
+    const result = await db.query(
+      "SELECT id, user_id, status, current_worth, previous_worth, price_changed_at FROM properties WHERE id = $1",
+      [id]
+    );
     
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 ||
+        (!PUBLIC_LISTING_STATUSES.includes(result.rows[0].status) && !canManageListing(req.user, result.rows[0].user_id))) {
       return res.status(404).json({
         success: false,
-        error: "User not found"
+        error: "Property not found"
       });
     }
     
+    const property = serializeProperty(result.rows[0]);
+    const history = await PropertyPriceHistoryModel.getPriceHistory(id);
+    
     res.json({
       success: true,
       data: {
-        user: result.rows[0]
-      }
+        property_id: property.id,
+        current_worth: property.current_worth,
+        previous_worth: property.previous_worth,
+        price_changed_at: property.price_changed_at,
+        price_reduced: property.price_reduced,
+        price_change_pct: property.price_change_pct,
+        history
+      },
+      count: history.length
     });
   } catch (error) {
-    console.error("Error fetching user profile:", error);
+    console.error("Error fetching price history:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch user profile",
+      error: "Failed to fetch price history",
       message: error.message
     });
   }
 });
 
-// =============================================================================
-// PROPERTIES ROUTES
-// =============================================================================
-
-// GET all properties
-app.get("/properties", async (req, res) => {
+// GET the change history of a listing, newest first (owner and moderators)
+app.get("/properties/:id/revisions", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
   try {
-    // Get query parameters for filtering
-    const { category, user_id, limit = 100, offset = 0 } = req.query;
-    
-    let query = `
-      SELECT p.*, 
-             u.first_name || ' ' || u.last_name as owner_name, 
-             c.name as category_name,
-             (SELECT COUNT(*) FROM votes WHERE property_id = p.id) as vote_count
-      FROM properties p 
-      LEFT JOIN users u ON p.user_id = u.id 
-      LEFT JOIN categories c ON p.category_id = c.id 
-      WHERE 1=1
-    `;
-    
-    const queryParams = [];
-    let paramIndex = 1;
-    
-    // Add filters if provided
-    if (category) {
-      query += ` AND c.name = $${paramIndex}`;
-      queryParams.push(category);
-      paramIndex++;
-    }
-    
-    if (user_id) {
-      query += ` AND p.user_id = $${paramIndex}`;
-      queryParams.push(user_id);
-      paramIndex++;
-    }
-    
-    // Add pagination
-    query += ` ORDER BY p.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
-    
-    const result = await db.query(query, queryParams);
-    
-    // Get images for each property
-    const properties = result.rows;
-    for (const property of properties) {
-      const imagesResult = await db.query(
-        "SELECT * FROM property_images WHERE property_id = $1 ORDER BY is_primary DESC, created_at ASC",
-        [property.id]
-      );
-      property.images = imagesResult.rows;
-    }
+    const revisions = await PropertyRevisionModel.listRevisions(req.params.id);
     
     res.json({
       success: true,
-      data: properties,
-      count: properties.length,
-      total: parseInt((await db.query("SELECT COUNT(*) FROM properties")).rows[0].count)
+      data: revisions,
+      count: revisions.length
     });
   } catch (error) {
-    console.error("Error fetching properties:", error);
+    console.error("Error fetching property revisions:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch properties",
+      error: "Failed to fetch property revisions",
       message: error.message
     });
   }
 });
 
-// GET property by ID
-app.get("/properties/:id", async (req, res) => {
+// GET the differences between two revisions (?from=&to=, to defaults to the latest)
+app.get("/properties/:id/revisions/diff", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await db.query(`
-      SELECT p.*, 
-             u.first_name || ' ' || u.last_name as owner_name,
-             u.email as owner_email,
-             u.phone_number as owner_phone,
-             c.name as category_name
-      FROM properties p 
-      LEFT JOIN users u ON p.user_id = u.id 
-      LEFT JOIN categories c ON p.category_id = c.id 
-      WHERE p.id = $1
-    `, [id]);
+    const from = parseInt(req.query.from);
+    const to = req.query.to === undefined ? await PropertyRevisionModel.getLatestRevisionNumber(id) : parseInt(req.query.to);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({
         success: false,
-        error: "Property not found"
+        error: "from (and optionally to) must be revision numbers"
       });
     }
     
-    // Get images for the property
-    const property = result.rows[0];
-    const imagesResult = await db.query(
-      "SELECT * FROM property_images WHERE property_id = $1 ORDER BY is_primary DESC, created_at ASC",
-      [id]
-    );
-    property.images = imagesResult.rows;
+    const fromRevision = await PropertyRevisionModel.getRevision(id, from);
+    const toRevision = await PropertyRevisionModel.getRevision(id, to);
     
-    // Get vote options for this property's category
-    const voteOptionsResult = await db.query(
-      "SELECT * FROM vote_options WHERE category_id = $1 ORDER BY name ASC",
-      [property.category_id]
-    );
-    property.vote_options = voteOptionsResult.rows;
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found"
+      });
+    }
     
     res.json({
       success: true,
-      data: property
+      data: {
+        from,
+        to,
+        changes: PropertyRevisionModel.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
     });
   } catch (error) {
-    console.error("Error fetching property:", error);
+    console.error("Error comparing property revisions:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch property",
+      error: "Failed to compare property revisions",
       message: error.message
     });
   }
 });
 
-// POST create new property
-app.post("/properties", authenticateUser, async (req, res) => {
+// GET one revision with the full snapshot of the listing at that point
+app.get("/properties/:id/revisions/:rev", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
   try {
-    const { 
-      title, 
-      description, 
-      location, 
-      category_id, 
-      current_worth,
-      year_of_construction
-    } = req.body;
-    
-    // Get user_id from Firebase UID
-    const userResult = await db.query(
-      "SELECT id FROM users WHERE firebase_uid = $1",
-      [req.user.uid]
-    );
+    const revision = await PropertyRevisionModel.getRevision(req.params.id, parseInt(req.params.rev) || 0);
     
-    if (userResult.rows.length === 0) {
+    if (!revision) {
       return res.status(404).json({
         success: false,
-        error: "User not found. Please register first."
-      });
-    }
-    
-    const user_id = userResult.rows[0].id;
-    
-    if (!title || !description || !location || !category_id) {
-      return res.status(400).json({
-        success: false,
-        error: "Title, description, location, and category_id are required"
+        error: "Revision not found"
       });
     }
     
-    const result = await db.query(
-      "INSERT INTO properties (title, description, location, user_id, category_id, current_worth, year_of_construction) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
-      [title, description, location, user_id, category_id, current_worth, year_of_construction]
-    );
-    
-    res.status(201).json({
+    res.json({
       success: true,
-      data: result.rows[0],
-      message: "Property created successfully"
+      data: revision
     });
   } catch (error) {
-    console.error("Error creating property:", error);
+    console.error("Error fetching property revision:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to create property",
+      error: "Failed to fetch property revision",
       message: error.message
     });
   }
 });
 
-// PUT update property
-app.put("/properties/:id", authenticateUser, async (req, res) => {
+// POST restore the fields and images of an earlier revision (the status is not reverted)
+app.post("/properties/:id/revisions/:rev/revert", authenticateUserOrKey, requirePermission('properties:update', { ownerOf: propertyOwner }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, description, location, category_id, current_worth, year_of_construction } = req.body;
-    
-    // Verify ownership
-    const ownershipCheck = await db.query(
-      "SELECT p.* FROM properties p JOIN users u ON p.user_id = u.id WHERE p.id = $1 AND u.firebase_uid = $2",
-      [id, req.user.uid]
-    );
+    const revision = parseInt(req.params.rev) || 0;
+    const property = await PropertyModel.revertToRevision(req.params.id, revision, req.user.id);
     
-    if (ownershipCheck.rows.length === 0) {
-      return res.status(403).json({
+    if (!property) {
+      return res.status(404).json({
         success: false,
-        error: "Forbidden",
-        message: "You don't have permission to update this property"
+        error: "Revision not found"
       });
     }
     
-    const result = await db.query(
-      "UPDATE properties SET title = COALESCE($1, title), description = COALESCE($2, description), location = COALESCE($3, location), category_id = COALESCE($4, category_id), current_worth = COALESCE($5, current_worth), year_of_construction = COALESCE($6, year_of_construction), updated_at = CURRENT_TIMESTAMP WHERE id = $7 RETURNING *",
-      [title, description, location, category_id, current_worth, year_of_construction, id]
-    );
-    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: "Property updated successfully"
+      data: property,
+      message: `Property reverted to revision ${revision}`
     });
   } catch (error) {
-    console.error("Error updating property:", error);
+    console.error("Error reverting property:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update property",
+      error: "Failed to revert property",
       message: error.message
     });
   }
 });
 
 // DELETE property
-app.delete("/properties/:id", authenticateUser, async (req, res) => {
+app.delete("/properties/:id", authenticateUserOrKey, requirePermission('properties:delete', { ownerOf: propertyOwner }), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Verify ownership
-    const ownershipCheck = await db.query(
-      "SELECT p.* FROM properties p JOIN users u ON p.user_id = u.id WHERE p.id = $1 AND u.firebase_uid = $2",
-      [id, req.user.uid]
-    );
+    const result = await db.query("DELETE FROM properties WHERE id = $1 RETURNING *", [id]);
     
-    if (ownershipCheck.rows.length === 0) {
-      return res.status(403).json({
+    if (result.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: "Forbidden",
-        message: "You don't have permission to delete this property"
+        error: "Property not found"
       });
     }
     
-    const result = await db.query("DELETE FROM properties WHERE id = $1 RETURNING *", [id]);
-    
     res.json({
       success: true,
-      data: result.rows[0],
+      data: serializeProperty(result.rows[0]),
       message: "Property deleted successfully"
     });
   } catch (error) {
@@ -664,23 +2667,25 @@ app.delete("/properties/:id", authenticateUser, async (req, res) => {
 // VOTES ROUTES
 // =============================================================================
 
-// GET all votes
-app.get("/votes", async (req, res) => {
+// GET all votes (on listings the caller can see)
+app.get("/votes", optionalAuth, async (req, res) => {
   try {
+    const params = [];
     const result = await db.query(`
       SELECT v.*, 
-             u.first_name || ' ' || u.last_name as voter_name, 
+             ${joinedUserColumns('u', 'voter')}, 
              p.title as property_title, 
              vo.name as vote_option_name 
       FROM votes v 
       LEFT JOIN users u ON v.user_id = u.id 
       LEFT JOIN properties p ON v.property_id = p.id 
       LEFT JOIN vote_options vo ON v.vote_option_id = vo.id 
+      WHERE ${visibleListingCondition('p', req.user, params)}
       ORDER BY v.created_at DESC
-    `);
+    `, params);
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(row => extractJoinedUser(row, 'voter')),
       count: result.rows.length
     });
   } catch (error) {
@@ -693,13 +2698,23 @@ app.get("/votes", async (req, res) => {
   }
 });
 
-// GET votes by property ID
-app.get("/votes/property/:propertyId", async (req, res) => {
+// GET votes by property ID (same visibility as the listing)
+app.get("/votes/property/:propertyId", optionalAuth, async (req, res) => {
   try {
     const { propertyId } = req.params;
+    const propertyResult = await db.query("SELECT user_id, status FROM properties WHERE id = $1", [propertyId]);
+    
+    if (propertyResult.rows.length === 0 ||
+        (!PUBLIC_LISTING_STATUSES.includes(propertyResult.rows[0].status) && !canManageListing(req.user, propertyResult.rows[0].user_id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
+    
     const result = await db.query(`
       SELECT v.*, 
-             u.first_name || ' ' || u.last_name as voter_name, 
+             ${joinedUserColumns('u', 'voter')}, 
              vo.name as vote_option_name 
       FROM votes v 
       LEFT JOIN users u ON v.user_id = u.id 
@@ -710,7 +2725,7 @@ app.get("/votes/property/:propertyId", async (req, res) => {
     
     res.json({
       success: true,
-      data: result.rows,
+      data: result.rows.map(row => extractJoinedUser(row, 'voter')),
       count: result.rows.length
     });
   } catch (error) {
@@ -724,7 +2739,7 @@ app.get("/votes/property/:propertyId", async (req, res) => {
 });
 
 // POST create new vote
-app.post("/votes", authenticateUser, async (req, res) => {
+app.post("/votes", authenticateUserOrKey, requireVerifiedEmail(), requirePermission('votes:create'), async (req, res) => {
   try {
     const { property_id, vote_option_id } = req.body;
     
@@ -735,20 +2750,29 @@ app.post("/votes", authenticateUser, async (req, res) => {
       });
     }
     
-    // Get user_id from Firebase UID
-    const userResult = await db.query(
-      "SELECT id FROM users WHERE firebase_uid = $1",
-      [req.user.uid]
+    const user_id = req.user.id;
+    
+    // Listings the caller cannot see are reported as missing, as on GET /properties/:id
+    const propertyParams = [property_id];
+    const propertyResult = await db.query(
+      `SELECT p.status FROM properties p WHERE p.id = $1 AND ${visibleListingCondition('p', req.user, propertyParams)}`,
+      propertyParams
     );
     
-    if (userResult.rows.length === 0) {
+    if (propertyResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: "User not found. Please register first."
+        error: "Property not found"
       });
     }
     
-    const user_id = userResult.rows[0].id;
+    // Voting closes once a listing leaves published (under offer, sold, ...)
+    if (!isVotingOpen(propertyResult.rows[0].status)) {
+      return res.status(409).json({
+        success: false,
+        error: "Voting is closed for this listing"
+      });
+    }
     
     // Check if user has already voted for this property
     const existingVote = await db.query(
@@ -763,11 +2787,19 @@ app.post("/votes", authenticateUser, async (req, res) => {
       });
     }
     
+    // The status is checked again on insert in case the listing closed in the meantime
     const result = await db.query(
-      "INSERT INTO votes (user_id, property_id, vote_option_id) VALUES ($1, $2, $3) RETURNING *",
+      "INSERT INTO votes (user_id, property_id, vote_option_id) SELECT $1::int, $2::int, $3::int WHERE EXISTS (SELECT 1 FROM properties WHERE id = $2 AND status = 'published') RETURNING *",
       [user_id, property_id, vote_option_id]
     );
     
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Voting is closed for this listing"
+      });
+    }
+    
     res.status(201).json({
       success: true,
       data: result.rows[0],
@@ -783,6 +2815,162 @@ app.post("/votes", authenticateUser, async (req, res) => {
   }
 });
 
+// DELETE vote
+app.delete("/votes/:id", authenticateUserOrKey, requirePermission('votes:delete', { ownerOf: voteOwner }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await db.query("DELETE FROM votes WHERE id = $1 RETURNING *", [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Vote not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: "Vote deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting vote:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete vote",
+      message: error.message
+    });
+  }
+});
+
+// =============================================================================
+// CATEGORIES ROUTES
+// =============================================================================
+
+// GET all categories with their vote options
+app.get("/categories", async (req, res) => {
+  try {
+    const categories = await CategoryModel.getAllCategoriesWithVoteOptions();
+    
+    res.json({
+      success: true,
+      data: categories,
+      count: categories.length
+    });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch categories",
+      message: error.message
+    });
+  }
+});
+
+// GET category by ID
+app.get("/categories/:id", async (req, res) => {
+  try {
+    const category = await CategoryModel.getCategoryWithVoteOptions(req.params.id);
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    console.error("Error fetching category:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch category",
+      message: error.message
+    });
+  }
+});
+
+// POST create new category
+app.post("/categories", authenticateUser, requirePermission('categories:write'), async (req, res) => {
+  try {
+    const { name, description, attribute_schema = {} } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: "Name is required"
+      });
+    }
+    
+    const schemaErrors = validateAttributeSchema(attribute_schema);
+    
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid attribute_schema",
+        details: schemaErrors
+      });
+    }
+    
+    const category = await CategoryModel.createCategory({ name, description, attribute_schema });
+    
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: "Category created successfully"
+    });
+  } catch (error) {
+    console.error("Error creating category:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create category",
+      message: error.message
+    });
+  }
+});
+
+// PUT replace the attribute schema of a category (listings are checked against it when next saved)
+app.put("/categories/:id/attribute-schema", authenticateUser, requirePermission('categories:write'), async (req, res) => {
+  try {
+    const { attribute_schema } = req.body;
+    const schemaErrors = validateAttributeSchema(attribute_schema);
+    
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid attribute_schema",
+        details: schemaErrors
+      });
+    }
+    
+    const category = await CategoryModel.updateAttributeSchema(req.params.id, attribute_schema);
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: category,
+      message: "Attribute schema updated successfully"
+    });
+  } catch (error) {
+    console.error("Error updating category attribute schema:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update category attribute schema",
+      message: error.message
+    });
+  }
+});
+
 // =============================================================================
 // VOTE OPTIONS ROUTES (READ-ONLY)
 // =============================================================================
@@ -840,10 +3028,19 @@ app.get("/vote_options/category/:categoryId", async (req, res) => {
 // ANALYTICS AND STATISTICS ROUTES
 // =============================================================================
 
-// GET vote statistics for a property
-app.get("/properties/:id/stats", async (req, res) => {
+// GET vote statistics for a property (same visibility as the listing)
+app.get("/properties/:id/stats", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    const propertyResult = await db.query("SELECT user_id, status FROM properties WHERE id = $1", [id]);
+    
+    if (propertyResult.rows.length === 0 ||
+        (!PUBLIC_LISTING_STATUSES.includes(propertyResult.rows[0].status) && !canManageListing(req.user, propertyResult.rows[0].user_id))) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found"
+      });
+    }
     
     const result = await db.query(`
       SELECT 
@@ -881,21 +3078,34 @@ app.get("/properties/:id/stats", async (req, res) => {
   }
 });
 
-// GET overall platform statistics
-app.get("/stats", async (req, res) => {
+// GET overall platform statistics (listing counts and activity cover the listings the caller can see)
+app.get("/stats", optionalAuth, async (req, res) => {
   try {
+    const params = [];
+    const visible = visibleListingCondition('p', req.user, params);
+    
     const userCount = await db.query("SELECT COUNT(*) as count FROM users");
-    const propertyCount = await db.query("SELECT COUNT(*) as count FROM properties");
-    const voteCount = await db.query("SELECT COUNT(*) as count FROM votes");
-    const imageCount = await db.query("SELECT COUNT(*) as count FROM property_images");
+    const propertyCount = await db.query(`SELECT COUNT(*) as count FROM properties p WHERE ${visible}`, params);
+    const voteCount = await db.query(
+      `SELECT COUNT(*) as count FROM votes v JOIN properties p ON v.property_id = p.id WHERE ${visible}`,
+      params
+    );
+    const imageCount = await db.query(
+      `SELECT COUNT(*) as count FROM property_images pi JOIN properties p ON pi.property_id = p.id WHERE ${visible}`,
+      params
+    );
     
     const recentActivity = await db.query(`
-      SELECT 'vote' as type, created_at, user_id, property_id FROM votes
+      SELECT 'vote' as type, v.created_at, v.user_id, v.property_id
+      FROM votes v JOIN properties p ON v.property_id = p.id
+      WHERE ${visible}
       UNION ALL
-      SELECT 'property' as type, created_at, user_id, id as property_id FROM properties
+      SELECT 'property' as type, p.created_at, p.user_id, p.id as property_id
+      FROM properties p
+      WHERE ${visible}
       ORDER BY created_at DESC
       LIMIT 10
-    `);
+    `, params);
     
     res.json({
       success: true,
@@ -979,14 +3189,52 @@ app.use(["/api/*"], (req, res) => {
     method: req.method,
     availableEndpoints: [
       "GET /health", 
+      "GET /.well-known/jwks.json",
       "GET,POST,PUT,PATCH,DELETE /users", 
       "GET,POST,PUT,PATCH,DELETE /properties", 
       "GET,POST,PUT,PATCH,DELETE /votes", 
       "GET,POST,PUT,PATCH,DELETE /property_images",
-      "GET /categories",
+      "GET,POST /categories",
+      "PUT /categories/:id/attribute-schema",
+      "GET,POST,DELETE /users/:id/roles",
+      "POST /users/:id/unlock",
+      "GET /security/events",
+      "GET /properties/search",
+      "POST /properties/:id/status",
+      "GET /properties/:id/revisions",
+      "GET /properties/:id/revisions/diff",
+      "GET /properties/:id/revisions/:rev",
+      "POST /properties/:id/revisions/:rev/revert",
+      "GET /properties/:id/price-history",
+      "POST /properties/import",
+      "GET /properties/import/:jobId",
+      "GET /users/me/imports",
+      "GET /properties/facets",
+      "GET /properties.geojson",
+      "POST /properties/:id/contact",
+      "GET /users/me/contact-reveals",
+      "GET /users/me/export",
+      "DELETE /users/me",
+      "GET,POST /api-keys",
+      "DELETE /api-keys/:id",
       "GET /vote_options",
       "POST /auth/login",
       "POST /auth/register",
+      "POST /auth/login/2fa",
+      "POST /auth/2fa/setup",
+      "POST /auth/2fa/verify",
+      "POST /auth/2fa/recovery-codes",
+      "POST /auth/2fa/disable",
+      "POST /auth/refresh",
+      "POST /auth/logout",
+      "POST /auth/logout-all",
+      "POST /auth/change-password",
+      "GET /auth/sessions",
+      "DELETE /auth/sessions/:id",
+      "POST /auth/forgot-password",
+      "POST /auth/reset-password",
+      "POST /auth/verify-email",
+      "POST /auth/resend-verification",
       "GET /properties/:id/stats",
       "GET /stats"
     ]
@@ -1019,6 +3267,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   - Vote Options: ${liveUrl}/vote_options`);
   console.log(`   - Auth: ${liveUrl}/auth/login, ${liveUrl}/auth/register`);
   console.log(`   - Statistics: ${liveUrl}/stats, ${liveUrl}/properties/:id/stats`);
+  
+  // Create the first signing key if needed and rotate it on schedule
+  keyStore.startRotationSchedule();
 });
 
 module.exports = app;
\ No newline at end of file
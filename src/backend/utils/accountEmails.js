@@ -0,0 +1,91 @@
+const UserTokenModel = require('../models/userTokenModel');
+const { sendMail } = require('./mailer');
+
+/**
+ * Account emails that carry a one-time token link
+ * Links point at the frontend, which posts the token back to the API.
+ */
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+
+/**
+ * Build a frontend link carrying a token
+ * @param {string} route - Frontend route, e.g. /reset-password
+ * @param {string} token - Raw token
+ * @returns {string} Absolute URL
+ */
+const buildLink = (route, token) => {
+  const baseUrl = (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}${route}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Escape text for inclusion in an HTML email
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Issue an email verification token and mail the link to the user
+ * @param {Object} user - User row
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await UserTokenModel.createToken(
+    user.id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+  const link = buildLink('/verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Mipripity email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      `<p>Please confirm your email address by opening <a href="${link}">this link</a>.</p>` +
+      `<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`
+  });
+};
+
+/**
+ * Issue a password reset token and mail the link to the user
+ * @param {Object} user - User row
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await UserTokenModel.createToken(
+    user.id,
+    'password_reset',
+    PASSWORD_RESET_TTL_MINUTES
+  );
+  const link = buildLink('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Mipripity password',
+    text: `Hi ${user.first_name},\n\n` +
+      `Someone asked to reset the password of your Mipripity account. ` +
+      `If it was you, choose a new password here:\n${link}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+      `If you did not ask for a reset you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>` +
+      `<p>Someone asked to reset the password of your Mipripity account. ` +
+      `If it was you, <a href="${link}">choose a new password</a>.</p>` +
+      `<p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+      `If you did not ask for a reset you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
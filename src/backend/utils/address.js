@@ -0,0 +1,225 @@
+/**
+ * Structured listing addresses: normalisation of submitted fields and
+ * best-effort parsing of free-text locations such as "Miami, FL"
+ */
+
+const ADDRESS_FIELDS = ['country', 'region', 'city', 'district', 'postcode', 'street'];
+
+const MAX_LENGTHS = {
+  region: 100,
+  city: 100,
+  district: 100,
+  postcode: 20,
+  street: 255
+};
+
+// Country names accepted in place of ISO 3166-1 alpha-2 codes
+const COUNTRY_ALIASES = {
+  'united states': 'US',
+  'united states of america': 'US',
+  'usa': 'US',
+  'u.s.': 'US',
+  'u.s.a.': 'US',
+  'nigeria': 'NG',
+  'ghana': 'GH',
+  'kenya': 'KE',
+  'south africa': 'ZA',
+  'united kingdom': 'GB',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'canada': 'CA'
+};
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const US_STATE_CODES = Object.fromEntries(
+  Object.entries(US_STATES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+/**
+ * Trim and collapse whitespace
+ * @param {string} value - Raw text
+ * @returns {string} Tidied text
+ */
+const collapse = (value) => value.trim().replace(/\s+/g, ' ');
+
+/**
+ * Title-case names typed entirely in lower or upper case ("LAGOS" -> "Lagos");
+ * mixed case is kept as typed so names like "McAllen" survive
+ * @param {string} value - Tidied name
+ * @returns {string} Name
+ */
+const tidyName = (value) => {
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+    return value;
+  }
+
+  return value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+};
+
+/**
+ * Normalise a country to its ISO 3166-1 alpha-2 code
+ * @param {string} value - Code or known country name
+ * @returns {string|null} Code, or null if the country is not recognised
+ */
+const normalizeCountry = (value) => {
+  const country = collapse(value);
+
+  if (/^[A-Za-z]{2}$/.test(country)) {
+    return country.toUpperCase();
+  }
+
+  return COUNTRY_ALIASES[country.toLowerCase()] || null;
+};
+
+/**
+ * Normalise a state or region. US states are stored as their two-letter code.
+ * @param {string} value - Region as typed
+ * @param {string|null} country - Normalised country code
+ * @returns {string} Region
+ */
+const normalizeRegion = (value, country) => {
+  const region = collapse(value);
+
+  if (country === 'US' && US_STATE_CODES[region.toLowerCase()]) {
+    return US_STATE_CODES[region.toLowerCase()];
+  }
+
+  // Short codes such as "FCT" or "ON" stay upper case
+  return /^[A-Za-z]{2,3}$/.test(region) ? region.toUpperCase() : tidyName(region);
+};
+
+/**
+ * Normalise the address fields present in a request body.
+ * Only fields present in the input are returned; empty strings and null clear a field.
+ * @param {Object} input - Object holding any of ADDRESS_FIELDS
+ * @returns {Object} { address, errors }
+ */
+const normalizeAddress = (input = {}) => {
+  const address = {};
+  const errors = [];
+
+  for (const field of ADDRESS_FIELDS) {
+    const raw = input[field];
+
+    if (raw === undefined) {
+      continue;
+    }
+
+    if (raw !== null && typeof raw !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+
+    address[field] = raw === null || !raw.trim() ? null : collapse(raw);
+  }
+
+  if (address.country) {
+    const country = normalizeCountry(address.country);
+
+    if (!country) {
+      errors.push('country must be an ISO 3166-1 alpha-2 code or a known country name');
+    }
+
+    address.country = country;
+  }
+
+  if (address.region) {
+    address.region = normalizeRegion(address.region, address.country || null);
+  }
+
+  if (address.city) {
+    address.city = tidyName(address.city);
+  }
+
+  if (address.district) {
+    address.district = tidyName(address.district);
+  }
+
+  if (address.postcode) {
+    address.postcode = address.postcode.toUpperCase();
+  }
+
+  for (const [field, maxLength] of Object.entries(MAX_LENGTHS)) {
+    if (address[field] && address[field].length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+  }
+
+  return { address, errors };
+};
+
+/**
+ * Check whether a body includes any address field
+ * @param {Object} input - Request body
+ * @returns {boolean} True if at least one field is present
+ */
+const hasAddressFields = (input = {}) => ADDRESS_FIELDS.some(field => input[field] !== undefined);
+
+/**
+ * Best-effort parse of a free-text location, mirroring migration 015:
+ * "City, ST[ 12345]" (US), "City, Region, Country" and "City, Region"
+ * @param {string} location - Free-text location
+ * @returns {Object} Address fields that could be recognised (may be empty)
+ */
+const parseLocation = (location) => {
+  if (typeof location !== 'string') {
+    return {};
+  }
+
+  const parts = location.split(',').map(part => collapse(part)).filter(Boolean);
+
+  if (parts.length === 2) {
+    const usMatch = /^([A-Za-z]{2})(?:\s+(\d{5}(?:-\d{4})?))?$/.exec(parts[1]);
+
+    if (usMatch && US_STATES[usMatch[1].toUpperCase()]) {
+      return normalizeAddress({ city: parts[0], region: usMatch[1], postcode: usMatch[2], country: 'US' }).address;
+    }
+
+    return normalizeAddress({ city: parts[0], region: parts[1] }).address;
+  }
+
+  if (parts.length === 3 && COUNTRY_ALIASES[parts[2].toLowerCase()]) {
+    return normalizeAddress({ city: parts[0], region: parts[1], country: parts[2] }).address;
+  }
+
+  return {};
+};
+
+/**
+ * Format structured fields as the display location ("District, City, Region")
+ * @param {Object} address - Normalised address
+ * @returns {string|null} Location text, or null if there is nothing to show
+ */
+const formatLocation = (address) => {
+  const parts = [address.district, address.city, address.region].filter(Boolean);
+
+  if (parts.length === 0 && address.country) {
+    parts.push(address.country);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+module.exports = {
+  ADDRESS_FIELDS,
+  normalizeAddress,
+  normalizeCountry,
+  normalizeRegion,
+  hasAddressFields,
+  parseLocation,
+  formatLocation
+};
@@ -0,0 +1,452 @@
+/**
+ * Category attribute schemas and the structured attributes of listings
+ *
+ * Each category defines its attributes as { <name>: <definition> }, for example
+ *   { "bedrooms": { "type": "integer", "required": true, "min": 0 },
+ *     "floor_area": { "type": "number", "unit": "m2", "min": 0 },
+ *     "zoning": { "type": "enum", "values": ["residential", "commercial"] } }
+ * Listings store their values in properties.attributes. Numbers with a unit are stored in
+ * that unit; clients may send { "value": 1200, "unit": "sqft" } and it is converted.
+ */
+
+const ATTRIBUTE_TYPES = ['string', 'integer', 'number', 'boolean', 'enum'];
+const DEFINITION_KEYS = ['type', 'required', 'label', 'description', 'min', 'max', 'unit', 'values', 'max_length'];
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_ATTRIBUTES = 50;
+const DEFAULT_MAX_LENGTH = 255;
+
+// Units numeric attributes can be declared in, with the factor to the base unit of their dimension
+const UNITS = {
+  m2: { dimension: 'area', factor: 1 },
+  sqft: { dimension: 'area', factor: 0.09290304 },
+  ha: { dimension: 'area', factor: 10000 },
+  acre: { dimension: 'area', factor: 4046.8564224 },
+  m: { dimension: 'length', factor: 1 },
+  ft: { dimension: 'length', factor: 0.3048 },
+  kg: { dimension: 'mass', factor: 1 },
+  tonne: { dimension: 'mass', factor: 1000 },
+  lb: { dimension: 'mass', factor: 0.45359237 },
+  m3: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 0.001 }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a category attribute schema
+ * @param {*} schema - Candidate schema
+ * @returns {Array<string>} Errors, empty when valid
+ */
+const validateAttributeSchema = (schema) => {
+  if (!isPlainObject(schema)) {
+    return ['attribute_schema must be an object of attribute definitions'];
+  }
+
+  const errors = [];
+  const names = Object.keys(schema);
+
+  if (names.length > MAX_ATTRIBUTES) {
+    errors.push(`attribute_schema can define at most ${MAX_ATTRIBUTES} attributes`);
+  }
+
+  for (const name of names) {
+    const definition = schema[name];
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push(`${name}: names must be lowercase letters, digits and underscores, starting with a letter`);
+      continue;
+    }
+
+    if (!isPlainObject(definition)) {
+      errors.push(`${name}: definition must be an object`);
+      continue;
+    }
+
+    const unknownKeys = Object.keys(definition).filter(key => !DEFINITION_KEYS.includes(key));
+
+    if (unknownKeys.length > 0) {
+      errors.push(`${name}: unknown keys ${unknownKeys.join(', ')}`);
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(definition.type)) {
+      errors.push(`${name}: type must be one of ${ATTRIBUTE_TYPES.join(', ')}`);
+      continue;
+    }
+
+    if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+      errors.push(`${name}: required must be true or false`);
+    }
+
+    const numeric = definition.type === 'integer' || definition.type === 'number';
+
+    for (const bound of ['min', 'max']) {
+      if (definition[bound] !== undefined && (!numeric || !Number.isFinite(definition[bound]))) {
+        errors.push(`${name}: ${bound} is only allowed as a number on integer and number attributes`);
+      }
+    }
+
+    if (Number.isFinite(definition.min) && Number.isFinite(definition.max) && definition.min > definition.max) {
+      errors.push(`${name}: min cannot be greater than max`);
+    }
+
+    if (definition.unit !== undefined && (!numeric || !UNITS[definition.unit])) {
+      errors.push(`${name}: unit is only allowed on integer and number attributes, as one of ${Object.keys(UNITS).join(', ')}`);
+    }
+
+    if (definition.type === 'enum') {
+      const { values } = definition;
+
+      if (!Array.isArray(values) || values.length === 0 ||
+          !values.every(value => typeof value === 'string' && value.trim()) ||
+          new Set(values).size !== values.length) {
+        errors.push(`${name}: values must be a list of distinct non-empty strings`);
+      }
+    } else if (definition.values !== undefined) {
+      errors.push(`${name}: values is only allowed on enum attributes`);
+    }
+
+    if (definition.max_length !== undefined &&
+        (definition.type !== 'string' || !Number.isInteger(definition.max_length) || definition.max_length < 1)) {
+      errors.push(`${name}: max_length is only allowed as a positive integer on string attributes`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Convert a quantity between two units of the same dimension
+ * @param {number} value - Quantity
+ * @param {string} from - Unit of the quantity
+ * @param {string} to - Wanted unit
+ * @returns {number|null} Converted quantity (4 decimals), or null if the units are not compatible
+ */
+const convertUnit = (value, from, to) => {
+  if (from === to) {
+    return value;
+  }
+
+  if (!UNITS[from] || !UNITS[to] || UNITS[from].dimension !== UNITS[to].dimension) {
+    return null;
+  }
+
+  return Math.round((value * UNITS[from].factor / UNITS[to].factor) * 10000) / 10000;
+};
+
+/**
+ * Coerce one attribute value to its definition
+ * @param {string} name - Attribute name
+ * @param {Object} definition - Attribute definition
+ * @param {*} raw - Value from the request
+ * @returns {Object} { value } or { error }
+ */
+const coerceValue = (name, definition, raw) => {
+  const { type } = definition;
+
+  if (type === 'boolean') {
+    if (raw === true || raw === 'true' || raw === false || raw === 'false') {
+      return { value: raw === true || raw === 'true' };
+    }
+
+    return { error: `${name} must be true or false` };
+  }
+
+  if (type === 'string' || type === 'enum') {
+    const value = typeof raw === 'string' ? raw.trim() : null;
+
+    if (!value) {
+      return { error: `${name} must be a non-empty string` };
+    }
+
+    if (type === 'enum' && !definition.values.includes(value)) {
+      return { error: `${name} must be one of: ${definition.values.join(', ')}` };
+    }
+
+    const maxLength = definition.max_length || DEFAULT_MAX_LENGTH;
+
+    if (type === 'string' && value.length > maxLength) {
+      return { error: `${name} must be at most ${maxLength} characters` };
+    }
+
+    return { value };
+  }
+
+  // integer and number, optionally sent as { value, unit }
+  let quantity = raw;
+  let unit = definition.unit;
+
+  if (isPlainObject(raw)) {
+    quantity = raw.value;
+    unit = raw.unit === undefined ? definition.unit : raw.unit;
+  }
+
+  let value = typeof quantity === 'string' && quantity.trim() ? Number(quantity) : quantity;
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: `${name} must be a number` };
+  }
+
+  if (unit !== definition.unit) {
+    value = definition.unit ? convertUnit(value, unit, definition.unit) : null;
+
+    if (value === null) {
+      return {
+        error: definition.unit
+          ? `${name} unit must be convertible to ${definition.unit}`
+          : `${name} does not take a unit`
+      };
+    }
+  }
+
+  if (type === 'integer' && !Number.isInteger(value)) {
+    return { error: `${name} must be a whole number` };
+  }
+
+  if (definition.min !== undefined && value < definition.min) {
+    return { error: `${name} must be at least ${definition.min}` };
+  }
+
+  if (definition.max !== undefined && value > definition.max) {
+    return { error: `${name} must be at most ${definition.max}` };
+  }
+
+  return { value };
+};
+
+/**
+ * Validate listing attributes against a category schema
+ * @param {Object} schema - Category attribute schema
+ * @param {*} input - Attributes from the request (null or undefined for none); null values are left out
+ * @returns {Object} { attributes, errors } with values coerced and converted to the schema units
+ */
+const validateAttributes = (schema = {}, input) => {
+  const attributes = {};
+  const errors = [];
+  const invalid = new Set();
+
+  if (input === undefined || input === null) {
+    input = {};
+  }
+
+  if (!isPlainObject(input)) {
+    return { attributes, errors: ['attributes must be an object'] };
+  }
+
+  for (const [name, raw] of Object.entries(input)) {
+    if (!schema[name]) {
+      errors.push(`${name} is not an attribute of this category`);
+      continue;
+    }
+
+    if (raw === null || raw === undefined) {
+      continue;
+    }
+
+    const { value, error } = coerceValue(name, schema[name], raw);
+
+    if (error) {
+      errors.push(error);
+      invalid.add(name);
+    } else {
+      attributes[name] = value;
+    }
+  }
+
+  for (const [name, definition] of Object.entries(schema)) {
+    if (definition.required && attributes[name] === undefined && !invalid.has(name)) {
+      errors.push(`${name} is required`);
+    }
+  }
+
+  return { attributes, errors };
+};
+
+/**
+ * Apply an attribute update to a listing's attributes. Attributes the (possibly new) category
+ * does not define are dropped; null in the patch removes an attribute.
+ * @param {Object} schema - Schema of the listing's category after the update
+ * @param {Object} current - Stored attributes
+ * @param {*} patch - Attributes from the request, undefined to keep the stored ones
+ * @returns {Object} { attributes, errors } as from validateAttributes
+ */
+const mergeAttributes = (schema = {}, current = {}, patch) => {
+  if (patch !== undefined && patch !== null && !isPlainObject(patch)) {
+    return { attributes: {}, errors: ['attributes must be an object'] };
+  }
+
+  const merged = {};
+
+  for (const [name, value] of Object.entries(current || {})) {
+    if (schema[name]) {
+      merged[name] = value;
+    }
+  }
+
+  return validateAttributes(schema, { ...merged, ...(patch || {}) });
+};
+
+/**
+ * Parse attribute filters from the query string:
+ *   attr[zoning]=commercial,mixed_use   any of the values
+ *   attr[bedrooms][min]=2&attr[bedrooms][max]=4
+ *   attr[floor_area][min]=1000&attr[floor_area][unit]=sqft
+ * Values stay raw until they are resolved against the category schemas (resolveAttributeFilters)
+ * @param {*} attr - req.query.attr
+ * @param {Array<string>} errors - Error list, extended in place
+ * @returns {Array<Object>|null} [{ name, values, min, max, unit }] or null when absent
+ */
+const parseAttributeQuery = (attr, errors) => {
+  if (attr === undefined) {
+    return null;
+  }
+
+  if (!isPlainObject(attr)) {
+    errors.push('attr must be given as attr[name]=value');
+    return null;
+  }
+
+  const filters = [];
+
+  for (const [name, raw] of Object.entries(attr)) {
+    if (!NAME_PATTERN.test(name)) {
+      errors.push(`attr[${name}] is not a valid attribute name`);
+      continue;
+    }
+
+    if (typeof raw === 'string') {
+      const values = [...new Set(raw.split(',').map(part => part.trim()).filter(Boolean))];
+
+      if (values.length === 0) {
+        errors.push(`attr[${name}] needs a value`);
+        continue;
+      }
+
+      filters.push({ name, values, min: null, max: null, unit: null });
+      continue;
+    }
+
+    const unknownKeys = isPlainObject(raw) ? Object.keys(raw).filter(key => !['min', 'max', 'unit'].includes(key)) : [];
+
+    if (!isPlainObject(raw) || unknownKeys.length > 0 ||
+        ![raw.min, raw.max, raw.unit].every(part => part === undefined || typeof part === 'string') ||
+        (raw.min === undefined && raw.max === undefined)) {
+      errors.push(`attr[${name}] must be a value list or [min]/[max] with an optional [unit]`);
+      continue;
+    }
+
+    filters.push({ name, values: null, min: raw.min || null, max: raw.max || null, unit: raw.unit || null });
+  }
+
+  return filters;
+};
+
+/**
+ * Merge the schemas of the categories a listing query covers into one definition per attribute
+ * @param {Array<Object>} schemas - Category attribute schemas
+ * @returns {Object} { definitions, conflicts } where conflicts lists names defined incompatibly
+ */
+const mergeSchemas = (schemas) => {
+  const definitions = {};
+  const conflicts = new Set();
+
+  for (const schema of schemas) {
+    for (const [name, definition] of Object.entries(schema || {})) {
+      const known = definitions[name];
+
+      if (!known) {
+        definitions[name] = { ...definition };
+      } else if (known.type !== definition.type || known.unit !== definition.unit) {
+        conflicts.add(name);
+      } else if (known.type === 'enum') {
+        known.values = [...new Set([...known.values, ...definition.values])];
+      }
+    }
+  }
+
+  return { definitions, conflicts: [...conflicts] };
+};
+
+/**
+ * Type raw attribute filters against the schemas of the queried categories
+ * @param {Array<Object>} filters - Filters from parseAttributeQuery
+ * @param {Array<Object>} schemas - Attribute schemas of the categories in scope
+ * @returns {Object} { filters: [{ name, values, min, max }], errors }
+ */
+const resolveAttributeFilters = (filters, schemas) => {
+  const { definitions, conflicts } = mergeSchemas(schemas);
+  const resolved = [];
+  const errors = [];
+
+  for (const { name, values, min, max, unit } of filters) {
+    const definition = definitions[name];
+
+    if (!definition) {
+      errors.push(`attr[${name}] is not an attribute of the selected categories`);
+      continue;
+    }
+
+    if (conflicts.includes(name)) {
+      errors.push(`attr[${name}] differs between categories; filter by category to use it`);
+      continue;
+    }
+
+    // Filter values are checked like stored values, without the range limits
+    const check = { ...definition, min: undefined, max: undefined };
+    const filter = { name, values: null, min: null, max: null };
+    let valid = true;
+
+    if (values) {
+      filter.values = [];
+
+      for (const raw of values) {
+        const { value, error } = coerceValue(`attr[${name}]`, check, raw);
+
+        if (error) {
+          errors.push(error);
+          valid = false;
+        } else {
+          filter.values.push(value);
+        }
+      }
+    } else if (definition.type !== 'integer' && definition.type !== 'number') {
+      errors.push(`attr[${name}] only supports [min] and [max] on numeric attributes`);
+      valid = false;
+    } else {
+      for (const bound of ['min', 'max']) {
+        const raw = bound === 'min' ? min : max;
+
+        if (raw === null) {
+          continue;
+        }
+
+        // Bounds may be fractional even for integer attributes
+        const { value, error } = coerceValue(`attr[${name}][${bound}]`, { ...check, type: 'number' },
+          unit ? { value: raw, unit } : raw);
+
+        if (error) {
+          errors.push(error);
+          valid = false;
+        } else {
+          filter[bound] = value;
+        }
+      }
+    }
+
+    if (valid) {
+      resolved.push(filter);
+    }
+  }
+
+  return { filters: resolved, errors };
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  UNITS,
+  validateAttributeSchema,
+  validateAttributes,
+  mergeAttributes,
+  convertUnit,
+  parseAttributeQuery,
+  resolveAttributeFilters
+};
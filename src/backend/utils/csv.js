@@ -0,0 +1,115 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+/**
+ * Quote a value for a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column order; defaults to the keys of the first row
+ * @returns {string} CSV with a header line
+ */
+const toCsv = (rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) => {
+  const lines = [columns.map(formatCell).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse CSV text into records. Quoted fields may contain commas, quotes ("") and line breaks;
+ * a leading byte order mark and blank lines are ignored.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records as lists of cells
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  const endRecord = () => {
+    record.push(cell);
+
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+
+    record = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+
+  endRecord();
+
+  return records;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
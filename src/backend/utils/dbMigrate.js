@@ -41,6 +41,40 @@ const recordMigration = async (client, filename) => {
   );
 };
 
+/**
+ * List migration files in the order they should be executed
+ */
+const getMigrationFiles = () => {
+  const migrationsDir = path.join(__dirname, '../migrations');
+  
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(migrationsDir)
+    .filter(filename => filename.endsWith('.sql'))
+    .sort();
+};
+
+/**
+ * Split a migration file into individual statements, ignoring comments
+ */
+const splitStatements = (sqlContent) => {
+  return sqlContent
+    .replace(/--.*$/gm, '') // Remove single line comments
+    .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
+    .split(';')
+    .map(stmt => stmt.trim())
+    .filter(stmt => stmt.length > 0); // Remove empty statements
+};
+
+/**
+ * List the tables a migration creates, in creation order
+ */
+const getCreatedTables = (sqlContent) => {
+  return [...sqlContent.matchAll(/CREATE TABLE (?:IF NOT EXISTS )?(\w+)/gi)].map(match => match[1]);
+};
+
 /**
  * Check if migrations are needed
  */
@@ -52,11 +86,16 @@ const checkMigrationsNeeded = async () => {
       // Create migrations table if it doesn't exist
       await createMigrationsTable(client);
       
-      // Check if our main migration has been run
-      const migrationFile = '001_initial_schema.sql';
-      const hasRun = await isMigrationExecuted(client, migrationFile);
+      // Check whether any migration file has not been run yet
+      for (const migrationFile of getMigrationFiles()) {
+        const hasRun = await isMigrationExecuted(client, migrationFile);
+        
+        if (!hasRun) {
+          return true;
+        }
+      }
       
-      return !hasRun;
+      return false;
     } finally {
       client.release();
     }
@@ -69,73 +108,65 @@ const checkMigrationsNeeded = async () => {
 
 /**
  * Run database migrations ONLY if they haven't been run before
+ * Each migration file runs in its own transaction, in filename order
  */
 const runMigrations = async () => {
   try {
     console.log("Starting database migration check...");
     
-    // Path to migration files
     const migrationsDir = path.join(__dirname, '../migrations');
-    const migrationFile = '001_initial_schema.sql';
-    const sqlFilePath = path.join(migrationsDir, migrationFile);
+    const migrationFiles = getMigrationFiles();
     
-    // Check if migration file exists
-    if (!fs.existsSync(sqlFilePath)) {
-      console.log("No migration file found, skipping migrations");
+    if (migrationFiles.length === 0) {
+      console.log("No migration files found, skipping migrations");
       return;
     }
     
-    // Get a client for transaction
-    const client = await db.pool.connect(); // Use db.pool.connect() instead
-    
-    try {
-      // Start transaction
-      await client.query('BEGIN');
-      
-      // Create migrations table if it doesn't exist
-      await createMigrationsTable(client);
-      
-      // Check if this migration has already been run
-      const hasRun = await isMigrationExecuted(client, migrationFile);
-      
-      if (hasRun) {
-        console.log("Migration already executed, skipping");
+    for (const migrationFile of migrationFiles) {
+      // Get a client for transaction
+      const client = await db.pool.connect(); // Use db.pool.connect() instead
+      
+      try {
+        // Start transaction
+        await client.query('BEGIN');
+        
+        // Create migrations table if it doesn't exist
+        await createMigrationsTable(client);
+        
+        // Check if this migration has already been run
+        const hasRun = await isMigrationExecuted(client, migrationFile);
+        
+        if (hasRun) {
+          console.log(`Migration ${migrationFile} already executed, skipping`);
+          await client.query('COMMIT');
+          continue;
+        }
+        
+        // Read and execute the migration
+        console.log(`Executing migration: ${migrationFile}`);
+        const sqlContent = fs.readFileSync(path.join(migrationsDir, migrationFile), 'utf8');
+        
+        // Execute each statement
+        for (const statement of splitStatements(sqlContent)) {
+          await client.query(statement);
+        }
+        
+        // Record that this migration has been executed
+        await recordMigration(client, migrationFile);
+        
+        // Commit transaction
         await client.query('COMMIT');
-        return;
-      }
-      
-      // Read and execute the migration
-      console.log(`Executing migration: ${migrationFile}`);
-      const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
-      
-      // Split SQL into individual statements, ignoring comments
-      const statements = sqlContent
-        .replace(/--.*$/gm, '') // Remove single line comments
-        .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0); // Remove empty statements
-      
-      // Execute each statement
-      for (const statement of statements) {
-        await client.query(statement);
+        console.log(`Migration ${migrationFile} completed successfully`);
+        
+      } catch (error) {
+        // Rollback on error
+        await client.query('ROLLBACK');
+        console.error(`Migration ${migrationFile} failed, rolling back:`, error);
+        throw error;
+      } finally {
+        // Release client
+        client.release();
       }
-      
-      // Record that this migration has been executed
-      await recordMigration(client, migrationFile);
-      
-      // Commit transaction
-      await client.query('COMMIT');
-      console.log(`Migration ${migrationFile} completed successfully`);
-      
-    } catch (error) {
-      // Rollback on error
-      await client.query('ROLLBACK');
-      console.error("Migration failed, rolling back:", error);
-      throw error;
-    } finally {
-      // Release client
-      client.release();
     }
   } catch (error) {
     console.error("Database migration error:", error);
@@ -145,35 +176,47 @@ const runMigrations = async () => {
 
 /**
  * Force run migrations (useful for development)
+ * Drops every table the migrations create, newest first so no foreign key still points at a
+ * table being dropped, then re-executes every migration file from the initial schema
  */
 const forceRunMigrations = async () => {
   try {
     console.log("Force running migrations...");
     
     const migrationsDir = path.join(__dirname, '../migrations');
-    const migrationFile = '001_initial_schema.sql';
-    const sqlFilePath = path.join(migrationsDir, migrationFile);
+    const migrationFiles = getMigrationFiles();
     
-    if (!fs.existsSync(sqlFilePath)) {
+    if (migrationFiles.length === 0) {
       throw new Error("Migration file not found");
     }
     
+    const migrations = migrationFiles.map(filename => ({
+      filename,
+      sqlContent: fs.readFileSync(path.join(migrationsDir, filename), 'utf8')
+    }));
+    
     const client = await db.pool.connect(); // Use db.pool.connect() instead
     
     try {
       await client.query('BEGIN');
       
-      const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
+      const tables = migrations.flatMap(({ sqlContent }) => getCreatedTables(splitStatements(sqlContent).join(';')));
       
-      const statements = sqlContent
-        .replace(/--.*$/gm, '')
-        .replace(/\/\*[\s\S]*?\*\//g, '')
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0);
+      for (const table of [...new Set(tables)].reverse()) {
+        await client.query(`DROP TABLE IF EXISTS ${table}`);
+      }
+      
+      await createMigrationsTable(client);
       
-      for (const statement of statements) {
-        await client.query(statement);
+      for (const { filename, sqlContent } of migrations) {
+        for (const statement of splitStatements(sqlContent)) {
+          await client.query(statement);
+        }
+        
+        await client.query(
+          'INSERT INTO migrations (filename) VALUES ($1) ON CONFLICT (filename) DO NOTHING',
+          [filename]
+        );
       }
       
       await client.query('COMMIT');
@@ -0,0 +1,36 @@
+/**
+ * Role assignment utility script
+ * 
+ * Grants a role to an existing user from the command line. Used to create the
+ * first administrator, since role endpoints themselves require an admin.
+ * 
+ * Usage: node src/backend/utils/grantRole.js <email> <role>
+ */
+
+const UserModel = require('../models/userModel');
+const RoleModel = require('../models/roleModel');
+const { ROLES } = require('../config/permissions');
+
+async function grantRole(email, role) {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: grantRole.js <email> <${ROLES.join('|')}>`);
+  }
+  
+  const user = await UserModel.getUserByEmail(email);
+  
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+  
+  const granted = await RoleModel.grantRole(user.id, role);
+  console.log(granted
+    ? `Granted role "${role}" to ${email}`
+    : `${email} already has role "${role}"`);
+}
+
+grantRole(process.argv[2], process.argv[3])
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Failed to grant role:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,157 @@
+const LoginAttemptModel = require('../models/loginAttemptModel');
+const SecurityEventModel = require('../models/securityEventModel');
+
+/**
+ * Brute-force protection for /auth/login
+ * - per account: failed attempts lock the account for a while after a threshold
+ * - per IP: too many failures within a window block the IP temporarily
+ * - every failure is answered with a progressively longer delay
+ */
+
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+const ACCOUNT_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20');
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15');
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS || '250');
+const DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS || '5000');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay for the nth consecutive failure: base, 2x base, 4x base... capped
+ * @param {number} failures - Number of recent failures
+ * @returns {number} Milliseconds
+ */
+const getFailureDelay = (failures) => {
+  if (failures <= 0) {
+    return 0;
+  }
+
+  return Math.min(DELAY_BASE_MS * Math.pow(2, Math.min(failures - 1, 16)), DELAY_MAX_MS);
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params - { user, ip }
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, retryAfter: seconds }
+ */
+const checkLoginAllowed = async ({ user, ip }) => {
+  const ipFailures = await LoginAttemptModel.countRecentIpFailures(ip, IP_WINDOW_MINUTES);
+
+  if (ipFailures >= IP_MAX_FAILURES) {
+    return { allowed: false, retryAfter: IP_WINDOW_MINUTES * 60 };
+  }
+
+  if (user && user.locked_until && new Date(user.locked_until) > new Date()) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((new Date(user.locked_until) - Date.now()) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a failed login, lock the account or flag the IP when thresholds are crossed,
+ * then wait out the progressive delay before the caller responds
+ * @param {Object} params - { email, user, ip }
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async ({ email, user, ip }) => {
+  await LoginAttemptModel.recordAttempt({ email, ip_address: ip, success: false });
+
+  let accountFailures = 0;
+
+  if (user) {
+    const counters = await LoginAttemptModel.registerUserFailure(
+      user.id,
+      ACCOUNT_LOCK_THRESHOLD,
+      ACCOUNT_LOCK_MINUTES
+    );
+    accountFailures = counters.failed_login_count;
+
+    if (counters.locked_now) {
+      await SecurityEventModel.recordEvent({
+        user_id: user.id,
+        event_type: 'account_locked',
+        ip_address: ip,
+        details: {
+          failed_attempts: counters.failed_login_count,
+          locked_until: counters.locked_until
+        }
+      });
+    }
+  }
+
+  const ipFailures = await LoginAttemptModel.countRecentIpFailures(ip, IP_WINDOW_MINUTES);
+
+  // Log once, when the IP crosses the threshold
+  if (ipFailures === IP_MAX_FAILURES) {
+    await SecurityEventModel.recordEvent({
+      event_type: 'ip_blocked',
+      ip_address: ip,
+      details: {
+        failed_attempts: ipFailures,
+        distinct_accounts: await LoginAttemptModel.countRecentIpTargets(ip, IP_WINDOW_MINUTES),
+        window_minutes: IP_WINDOW_MINUTES
+      }
+    });
+  }
+
+  await sleep(getFailureDelay(Math.max(accountFailures, ipFailures)));
+};
+
+/**
+ * Record a successful login and clear the account's failure counter
+ * @param {Object} params - { email, user, ip }
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async ({ email, user, ip }) => {
+  await LoginAttemptModel.recordAttempt({ email, ip_address: ip, success: true });
+
+  if (user.failed_login_count > 0 || user.locked_until) {
+    await LoginAttemptModel.resetUserFailures(user.id);
+  }
+};
+
+/**
+ * Record an attempt rejected because the account is locked or the IP is blocked.
+ * It counts as a failure, so an IP that keeps trying stays blocked.
+ * @param {Object} params - { email, ip }
+ * @returns {Promise<void>}
+ */
+const recordBlockedLogin = async ({ email, ip }) => {
+  await LoginAttemptModel.recordAttempt({ email, ip_address: ip, success: false });
+};
+
+/**
+ * Unlock an account on behalf of an administrator
+ * @param {number} userId - Locked user
+ * @param {Object} admin - Administrator performing the unlock
+ * @param {string} ip - Administrator IP
+ * @returns {Promise<Object|null>} Updated counters or null if the user does not exist
+ */
+const unlockAccount = async (userId, admin, ip) => {
+  const counters = await LoginAttemptModel.resetUserFailures(userId);
+
+  if (counters) {
+    await SecurityEventModel.recordEvent({
+      user_id: counters.id,
+      event_type: 'account_unlocked',
+      ip_address: ip,
+      details: { unlocked_by: admin.id }
+    });
+  }
+
+  return counters;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  recordBlockedLogin,
+  unlockAccount,
+  getFailureDelay
+};
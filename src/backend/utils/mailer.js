@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing email behind a small transport abstraction.
+ * MAIL_TRANSPORT (required) selects where messages go:
+ * - smtp: delivered through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD
+ * - file: written as JSON files to MAIL_FILE_DIR, for offline testing
+ * - console: only the recipient and subject are logged; bodies carry one-time token links
+ *   and never reach the server log
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Mipripity <no-reply@mipripity.com>';
+
+const transports = {
+  smtp: () => {
+    // Loaded lazily so the file and console transports work without SMTP settings
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      send: (message) => smtp.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+
+    return {
+      async send(message) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to}.json`;
+        await fs.promises.writeFile(
+          path.join(directory, fileName),
+          JSON.stringify(message, null, 2)
+        );
+      }
+    };
+  },
+
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    }
+  })
+};
+
+const MAIL_TRANSPORTS = Object.keys(transports);
+
+let transport = null;
+
+/**
+ * Check that MAIL_TRANSPORT names a transport (read per call so .env is loaded first)
+ * @returns {string} Transport name
+ */
+const getTransportName = () => {
+  const transportName = process.env.MAIL_TRANSPORT;
+
+  if (!transports[transportName]) {
+    throw new Error(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')} (got ${transportName || 'nothing'})`);
+  }
+
+  return transportName;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = transports[getTransportName()]();
+  }
+
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  getTransportName,
+  sendMail
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password hashing utility
+ * Uses scrypt with a per-password random salt. Hashes are stored as
+ * "scrypt$N$r$p$salt$hash" so the cost parameters can be raised later
+ * without invalidating existing passwords.
+ */
+
+const SCRYPT_N = parseInt(process.env.PASSWORD_SCRYPT_N || '16384');
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+const MIN_PASSWORD_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '10');
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Derive a key with explicit scrypt parameters
+ */
+const deriveKey = (password, salt, N, r, p) => {
+  return scrypt(password, salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+};
+
+/**
+ * Hash a plain text password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded password hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derivedKey = await deriveKey(password, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+
+  return [
+    'scrypt',
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString('base64'),
+    derivedKey.toString('base64')
+  ].join('$');
+};
+
+/**
+ * Verify a plain text password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string|null} storedHash - Encoded hash from the database
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) {
+    return false;
+  }
+
+  const parts = storedHash.split('$');
+
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const derivedKey = await deriveKey(
+    password,
+    Buffer.from(salt, 'base64'),
+    parseInt(N),
+    parseInt(r),
+    parseInt(p)
+  );
+
+  return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+};
+
+// Hash used to keep response times similar when the account does not exist
+let dummyHashPromise = null;
+
+/**
+ * Spend the same time as a real verification, always returning false.
+ * Used when the user is unknown so login timing does not reveal which emails exist.
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} Always false
+ */
+const verifyDummyPassword = async (password) => {
+  if (!dummyHashPromise) {
+    dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  await verifyPassword(password || '', await dummyHashPromise);
+  return false;
+};
+
+/**
+ * Check that a password meets the strength rules
+ * @param {string} password - Plain text password
+ * @param {Object} context - Optional user fields the password must not contain
+ * @returns {Array<string>} List of problems, empty if the password is acceptable
+ */
+const validatePasswordStrength = (password, context = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string') {
+    return ['Password must be a string'];
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters long`);
+  }
+
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    errors.push('Password must contain both lowercase and uppercase letters');
+  }
+
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+
+  if (/^(.)\1+$/.test(password)) {
+    errors.push('Password must not be a single repeated character');
+  }
+
+  const lowered = password.toLowerCase();
+  const personalValues = [
+    context.email && context.email.split('@')[0],
+    context.first_name,
+    context.last_name
+  ].filter(value => value && value.length >= 3);
+
+  if (personalValues.some(value => lowered.includes(value.toLowerCase()))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+  validatePasswordStrength
+};
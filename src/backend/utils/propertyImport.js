@@ -0,0 +1,336 @@
+const { parseCsv } = require('./csv');
+const { isLatitude, isLongitude, isHttpUrl } = require('./validators');
+const { ADDRESS_FIELDS, normalizeAddress, hasAddressFields, parseLocation, formatLocation } = require('./address');
+const { validateAttributes } = require('./attributes');
+const { INITIAL_LISTING_STATUSES } = require('../config/listingStatus');
+
+/**
+ * Bulk listing imports: turning CSV or JSON rows into property data for PropertyModel.createProperty
+ *
+ * A mapping names the source column of each listing field, e.g. { "title": "Listing name",
+ * "current_worth": "Price", "attributes.bedrooms": "Beds" }. Fields without a mapping are read
+ * from a column of the same name. category takes a category ID or name, and images takes image
+ * URLs separated by spaces, "|" or ";" (or a list in JSON), the first being the primary image.
+ */
+
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'category',
+  'current_worth',
+  'year_of_construction',
+  'latitude',
+  'longitude',
+  ...ADDRESS_FIELDS,
+  'status',
+  'images'
+];
+const ATTRIBUTE_PREFIX = 'attributes.';
+const MAX_IMAGES = 20;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check whether a cell holds a value (empty CSV cells count as missing)
+ * @param {*} value - Cell value
+ * @returns {boolean} True if present
+ */
+const isPresent = (value) => value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate a column mapping
+ * @param {*} mapping - { <field or attributes.name>: <source column> }
+ * @returns {Array<string>} Errors, empty when valid
+ */
+const validateMapping = (mapping) => {
+  if (mapping === undefined || mapping === null) {
+    return [];
+  }
+
+  if (!isPlainObject(mapping)) {
+    return ['mapping must be an object of { field: source column }'];
+  }
+
+  const errors = [];
+
+  for (const [field, source] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field) && !(field.startsWith(ATTRIBUTE_PREFIX) && field.length > ATTRIBUTE_PREFIX.length)) {
+      errors.push(`mapping: ${field} is not an importable field (${IMPORT_FIELDS.join(', ')} or attributes.<name>)`);
+    } else if (typeof source !== 'string' || !source.trim()) {
+      errors.push(`mapping: the source column of ${field} must be a column name`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Read the rows to import from CSV text (first record is the header) or a JSON list of objects
+ * @param {Object} input - { csv } or { rows }
+ * @returns {Object} { rows, columns, errors } where columns is the CSV header (null for JSON)
+ */
+const readImportRows = ({ csv, rows }) => {
+  if (typeof csv === 'string') {
+    let records;
+
+    try {
+      records = parseCsv(csv);
+    } catch (error) {
+      return { rows: [], columns: null, errors: [error.message] };
+    }
+
+    if (records.length < 2) {
+      return { rows: [], columns: null, errors: ['The CSV needs a header line and at least one row'] };
+    }
+
+    const columns = records[0].map(column => column.trim());
+    const duplicates = columns.filter((column, index) => column && columns.indexOf(column) !== index);
+
+    if (duplicates.length > 0) {
+      return { rows: [], columns, errors: [`Duplicate CSV columns: ${[...new Set(duplicates)].join(', ')}`] };
+    }
+
+    const objects = records.slice(1).map(record => Object.fromEntries(
+      columns.map((column, index) => [column, record[index] === undefined ? '' : record[index]])
+    ));
+
+    return { rows: objects, columns, errors: [] };
+  }
+
+  if (Array.isArray(rows)) {
+    if (!rows.every(isPlainObject)) {
+      return { rows: [], columns: null, errors: ['rows must be a list of objects'] };
+    }
+
+    if (rows.length === 0) {
+      return { rows: [], columns: null, errors: ['rows is empty'] };
+    }
+
+    return { rows, columns: null, errors: [] };
+  }
+
+  return { rows: [], columns: null, errors: ['Send the listings as csv text or as a rows list'] };
+};
+
+/**
+ * Check that every mapped source column exists in a CSV header
+ * @param {Object} mapping - Column mapping
+ * @param {Array<string>} columns - CSV header
+ * @returns {Array<string>} Errors for missing columns
+ */
+const checkMappedColumns = (mapping, columns) => Object.entries(mapping || {})
+  .filter(([, source]) => !columns.includes(source))
+  .map(([field, source]) => `mapping: column "${source}" for ${field} is not in the CSV header`);
+
+/**
+ * Parse an optional number cell; thousands separators and spaces are ignored
+ * @param {*} value - Cell value
+ * @returns {number|null|undefined} Number, null when empty, undefined when not a number
+ */
+const parseNumberCell = (value) => {
+  if (!isPresent(value)) {
+    return null;
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Split an images cell into image URLs
+ * @param {*} value - Cell value (text or, from JSON, a list of URLs or { image_url } objects)
+ * @returns {Array<string>} URLs
+ */
+const splitImages = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(image => (isPlainObject(image) ? image.image_url : image));
+  }
+
+  return isPresent(value) ? String(value).split(/[\s|;]+/).filter(Boolean) : [];
+};
+
+/**
+ * Turn one imported row into property data, validating it like POST /properties
+ * @param {Object} row - Source row
+ * @param {Object} context - { mapping, categories (with attribute_schema), userId, defaultStatus }
+ * @returns {Object} { data, errors } where data is ready for PropertyModel.createProperty
+ */
+const mapImportRow = (row, { mapping = {}, categories, userId, defaultStatus = 'published' }) => {
+  const errors = [];
+  const get = (field) => row[(mapping || {})[field] || field];
+
+  const title = isPresent(get('title')) ? String(get('title')).trim() : null;
+  const description = isPresent(get('description')) ? String(get('description')).trim() : null;
+
+  if (!title) {
+    errors.push('title is required');
+  }
+
+  if (!description) {
+    errors.push('description is required');
+  }
+
+  // Category by ID or (case-insensitive) name
+  const categoryValue = isPresent(get('category')) ? String(get('category')).trim() : null;
+  const category = categoryValue && categories.find(candidate => (
+    /^\d+$/.test(categoryValue)
+      ? candidate.id === parseInt(categoryValue)
+      : candidate.name.toLowerCase() === categoryValue.toLowerCase()
+  ));
+
+  if (!categoryValue) {
+    errors.push('category is required');
+  } else if (!category) {
+    errors.push(`category "${categoryValue}" does not exist`);
+  }
+
+  const currentWorth = parseNumberCell(get('current_worth'));
+
+  if (currentWorth === undefined || (currentWorth !== null && currentWorth < 0)) {
+    errors.push('current_worth must be a number of at least 0');
+  }
+
+  const year = parseNumberCell(get('year_of_construction'));
+
+  if (year === undefined || (year !== null && !Number.isInteger(year))) {
+    errors.push('year_of_construction must be a whole number');
+  }
+
+  // Coordinates: both or neither
+  const latitude = isPresent(get('latitude')) ? String(get('latitude')).trim() : null;
+  const longitude = isPresent(get('longitude')) ? String(get('longitude')).trim() : null;
+
+  if ((latitude === null) !== (longitude === null)) {
+    errors.push('latitude and longitude must be given together');
+  } else if (latitude !== null && (!isLatitude(latitude) || !isLongitude(longitude))) {
+    errors.push('latitude must be between -90 and 90 and longitude between -180 and 180');
+  }
+
+  // Address fields, or parsed from the free-text location; a location is built from the fields if missing
+  const location = isPresent(get('location')) ? String(get('location')).trim() : null;
+  const addressInput = Object.fromEntries(ADDRESS_FIELDS
+    .filter(field => isPresent(get(field)))
+    .map(field => [field, String(get(field))]));
+  const { address, errors: addressErrors } = hasAddressFields(addressInput)
+    ? normalizeAddress(addressInput)
+    : { address: location ? parseLocation(location) : {}, errors: [] };
+  const displayLocation = location || formatLocation(address);
+
+  errors.push(...addressErrors);
+
+  if (!displayLocation) {
+    errors.push('location (or address fields) is required');
+  }
+
+  const status = isPresent(get('status')) ? String(get('status')).trim().toLowerCase() : defaultStatus;
+
+  if (!INITIAL_LISTING_STATUSES.includes(status)) {
+    errors.push(`status must be ${INITIAL_LISTING_STATUSES.join(' or ')}`);
+  }
+
+  const imageUrls = splitImages(get('images'));
+
+  if (imageUrls.length > MAX_IMAGES) {
+    errors.push(`at most ${MAX_IMAGES} images per listing`);
+  } else if (!imageUrls.every(url => isHttpUrl(url))) {
+    errors.push('images must be http(s) URLs');
+  }
+
+  // Attributes from a JSON attributes object, attributes.<name> columns and attributes.<name> mappings
+  const attributeInput = isPlainObject(row.attributes) ? { ...row.attributes } : {};
+  const attributeFields = new Set([
+    ...Object.keys(row).filter(key => key.startsWith(ATTRIBUTE_PREFIX)),
+    ...Object.keys(mapping || {}).filter(key => key.startsWith(ATTRIBUTE_PREFIX))
+  ]);
+
+  for (const field of attributeFields) {
+    const value = get(field);
+
+    if (isPresent(value)) {
+      attributeInput[field.slice(ATTRIBUTE_PREFIX.length)] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  let attributes = {};
+
+  if (category) {
+    const result = validateAttributes(category.attribute_schema, attributeInput);
+    attributes = result.attributes;
+    errors.push(...result.errors.map(error => `attributes: ${error}`));
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+
+  return {
+    data: {
+      title,
+      description,
+      location: displayLocation,
+      category_id: category.id,
+      user_id: userId,
+      current_worth: currentWorth,
+      year_of_construction: year,
+      latitude: latitude === null ? null : Number(latitude),
+      longitude: longitude === null ? null : Number(longitude),
+      status,
+      attributes,
+      images: imageUrls.map((image_url, index) => ({ image_url, is_primary: index === 0 })),
+      ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] || null]))
+    },
+    errors: []
+  };
+};
+
+/**
+ * Build the per-row report of an import
+ * @param {Array<Object>} mappedRows - Results of mapImportRow, in row order
+ * @param {Array<Object>|null} results - importProperties results for the valid rows so far (null for a dry run)
+ * @returns {Object} { report: { rows }, processed_rows, created_count, failed_count } where each row is
+ *   { row, status: 'valid' | 'invalid' | 'created' | 'failed' | 'pending', errors?, property_id? }
+ */
+const buildImportReport = (mappedRows, results = null) => {
+  let next = 0;
+
+  const rows = mappedRows.map(({ errors }, index) => {
+    const row = index + 1;
+
+    if (errors.length > 0) {
+      return { row, status: 'invalid', errors };
+    }
+
+    if (results === null) {
+      return { row, status: 'valid' };
+    }
+
+    const result = results[next++];
+
+    if (!result) {
+      return { row, status: 'pending' };
+    }
+
+    return result.error
+      ? { row, status: 'failed', errors: [result.error] }
+      : { row, status: 'created', property_id: result.property_id };
+  });
+
+  return {
+    report: { rows },
+    processed_rows: rows.filter(row => row.status !== 'pending').length,
+    created_count: rows.filter(row => row.status === 'created').length,
+    failed_count: rows.filter(row => row.status === 'invalid' || row.status === 'failed').length
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  validateMapping,
+  readImportRows,
+  checkMappedColumns,
+  mapImportRow,
+  buildImportReport
+};
@@ -0,0 +1,275 @@
+const { isLatitude, isLongitude } = require('./validators');
+const { normalizeAddress } = require('./address');
+const { parseAttributeQuery } = require('./attributes');
+const { LISTING_STATUSES } = require('../config/listingStatus');
+
+/**
+ * Parsing of the query string accepted by property listing endpoints
+ * (GET /properties and the endpoints built on the same filters)
+ */
+
+const SORT_FIELDS = ['created_at', 'title', 'location', 'current_worth', 'year_of_construction', 'vote_count', 'distance'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 100;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 1000;
+const ADDRESS_FILTERS = ['country', 'region', 'city', 'district', 'postcode'];
+
+/**
+ * Parse an optional number from the query string
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @param {Array<string>} errors - Error list, extended in place
+ * @param {Object} options - { integer, min }
+ * @returns {number|null} Parsed value or null when absent
+ */
+const parseNumber = (query, name, errors, { integer = false, min = null } = {}) => {
+  const raw = query[name];
+
+  if (raw === undefined || raw === '') {
+    return null;
+  }
+
+  const value = Number(raw);
+
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || (min !== null && value < min)) {
+    errors.push(`${name} must be ${integer ? 'an integer' : 'a number'}${min !== null ? ` of at least ${min}` : ''}`);
+    return null;
+  }
+
+  return value;
+};
+
+/**
+ * Parse an optional non-empty string from the query string
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @returns {string|null} Trimmed value or null when absent
+ */
+const parseString = (query, name) => {
+  const raw = query[name];
+  return typeof raw === 'string' && raw.trim() ? raw.trim() : null;
+};
+
+/**
+ * Parse ?near=lat,lng&radius_km=
+ * @param {Object} query - req.query
+ * @param {Array<string>} errors - Error list, extended in place
+ * @returns {Object|null} { latitude, longitude, radius_km } or null when absent
+ */
+const parseNear = (query, errors) => {
+  const near = parseString(query, 'near');
+
+  if (!near) {
+    if (query.radius_km !== undefined) {
+      errors.push('radius_km requires near');
+    }
+    return null;
+  }
+
+  const [latitude, longitude, ...rest] = near.split(',').map(part => part.trim());
+
+  if (rest.length > 0 || !isLatitude(latitude) || !isLongitude(longitude)) {
+    errors.push('near must be "latitude,longitude" in decimal degrees');
+    return null;
+  }
+
+  const radius = parseNumber(query, 'radius_km', errors);
+
+  if (radius !== null && (radius <= 0 || radius > MAX_RADIUS_KM)) {
+    errors.push(`radius_km must be greater than 0 and at most ${MAX_RADIUS_KM}`);
+    return null;
+  }
+
+  return {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    radius_km: radius === null ? DEFAULT_RADIUS_KM : radius
+  };
+};
+
+/**
+ * Parse ?bbox=west,south,east,north (GeoJSON order; west > east crosses the antimeridian)
+ * @param {Object} query - req.query
+ * @param {Array<string>} errors - Error list, extended in place
+ * @returns {Object|null} { west, south, east, north } or null when absent
+ */
+const parseBbox = (query, errors) => {
+  const bbox = parseString(query, 'bbox');
+
+  if (!bbox) {
+    return null;
+  }
+
+  const parts = bbox.split(',').map(part => part.trim());
+  const [west, south, east, north] = parts;
+
+  if (parts.length !== 4 || !isLongitude(west) || !isLatitude(south) ||
+      !isLongitude(east) || !isLatitude(north) || Number(south) > Number(north)) {
+    errors.push('bbox must be "west,south,east,north" in decimal degrees');
+    return null;
+  }
+
+  return {
+    west: Number(west),
+    south: Number(south),
+    east: Number(east),
+    north: Number(north)
+  };
+};
+
+/**
+ * Parse ?status=draft,archived
+ * @param {Object} query - req.query
+ * @param {Array<string>} errors - Error list, extended in place
+ * @returns {Array<string>|null} Statuses, or null when absent
+ */
+const parseStatuses = (query, errors) => {
+  const status = parseString(query, 'status');
+
+  if (!status) {
+    return null;
+  }
+
+  const statuses = [...new Set(status.split(',').map(part => part.trim()).filter(Boolean))];
+
+  if (statuses.length === 0 || statuses.some(value => !LISTING_STATUSES.includes(value))) {
+    errors.push(`status must be a comma-separated list of: ${LISTING_STATUSES.join(', ')}`);
+    return null;
+  }
+
+  return statuses;
+};
+
+/**
+ * Encode a keyset cursor pointing just after a listing
+ * @param {Object} cursor - { sort_by, sort_order, value, id } where value is the listing's sort value as text
+ * @returns {string} Opaque base64url cursor for ?after=
+ */
+const encodeCursor = ({ sort_by, sort_order, value, id }) => (
+  Buffer.from(JSON.stringify({ s: sort_by, o: sort_order, v: value, id })).toString('base64url')
+);
+
+/**
+ * Decode a cursor from ?after=
+ * @param {string} after - Cursor from a previous next_cursor
+ * @returns {Object|null} { sort_by, sort_order, value, id }, or null if malformed
+ */
+const decodeCursor = (after) => {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(after, 'base64url').toString('utf8'));
+
+    if (!SORT_FIELDS.includes(s) || !['ASC', 'DESC'].includes(o) ||
+        !Number.isInteger(id) || id < 1 || (v !== null && typeof v !== 'string')) {
+      return null;
+    }
+
+    return { sort_by: s, sort_order: o, value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse listing filters, sorting and pagination.
+ * Pages are either keyset based (?after=<next_cursor>) or offset based (?offset=).
+ * @param {Object} query - req.query
+ * @param {Object} options - { maxLimit }
+ * @returns {Object} { filters, sort_by, sort_order, limit, offset, after, errors }
+ */
+const parsePropertyQuery = (query = {}, { maxLimit = MAX_LIMIT } = {}) => {
+  const errors = [];
+
+  const filters = {
+    search: parseString(query, 'search') || parseString(query, 'q'),
+    category_id: parseNumber(query, 'category_id', errors, { integer: true, min: 1 }),
+    category: null,
+    min_worth: parseNumber(query, 'min_worth', errors, { min: 0 }),
+    max_worth: parseNumber(query, 'max_worth', errors, { min: 0 }),
+    min_year: parseNumber(query, 'min_year', errors, { integer: true }),
+    max_year: parseNumber(query, 'max_year', errors, { integer: true }),
+    location: parseString(query, 'location'),
+    user_id: parseNumber(query, 'user_id', errors, { integer: true, min: 1 }),
+    top_vote_option: parseString(query, 'top_vote_option'),
+    status: parseStatuses(query, errors),
+    near: parseNear(query, errors),
+    bbox: parseBbox(query, errors),
+    // Raw until typed against the category schemas (utils/attributes.js resolveAttributeFilters)
+    attributes: parseAttributeQuery(query.attr, errors)
+  };
+
+  // ?category= takes either a category ID or a category name
+  const category = parseString(query, 'category');
+
+  if (category && /^\d+$/.test(category)) {
+    filters.category_id = parseInt(category);
+  } else if (category) {
+    filters.category = category;
+  }
+
+  // Address filters are normalised like stored addresses, so "florida" finds region FL
+  const addressInput = Object.fromEntries(ADDRESS_FILTERS.map(name => [name, parseString(query, name) || undefined]));
+  const { address, errors: addressErrors } = normalizeAddress(addressInput);
+
+  for (const name of ADDRESS_FILTERS) {
+    filters[name] = address[name] || null;
+  }
+  errors.push(...addressErrors);
+
+  if (filters.min_worth !== null && filters.max_worth !== null && filters.min_worth > filters.max_worth) {
+    errors.push('min_worth cannot be greater than max_worth');
+  }
+
+  if (filters.min_year !== null && filters.max_year !== null && filters.min_year > filters.max_year) {
+    errors.push('min_year cannot be greater than max_year');
+  }
+
+  // Radius searches are sorted nearest first unless asked otherwise
+  const sortBy = parseString(query, 'sort_by') || (filters.near ? 'distance' : 'created_at');
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    errors.push(`sort_by must be one of: ${SORT_FIELDS.join(', ')}`);
+  } else if (sortBy === 'distance' && !filters.near) {
+    errors.push('sort_by=distance requires near');
+  }
+
+  const sortOrder = (parseString(query, 'sort_order') || (sortBy === 'distance' ? 'asc' : 'desc')).toUpperCase();
+
+  if (!['ASC', 'DESC'].includes(sortOrder)) {
+    errors.push('sort_order must be asc or desc');
+  }
+
+  const limit = parseNumber(query, 'limit', errors, { integer: true, min: 1 });
+  const offset = parseNumber(query, 'offset', errors, { integer: true, min: 0 });
+
+  // A cursor only makes sense for the ordering it was issued for
+  const afterParam = parseString(query, 'after');
+  const after = afterParam ? decodeCursor(afterParam) : null;
+
+  if (afterParam && !after) {
+    errors.push('after is not a valid cursor');
+  } else if (after && (after.sort_by !== sortBy || after.sort_order !== sortOrder)) {
+    errors.push('after was issued for a different sort_by or sort_order');
+  }
+
+  if (afterParam && offset) {
+    errors.push('after and offset cannot be combined');
+  }
+
+  return {
+    filters,
+    sort_by: sortBy,
+    sort_order: sortOrder,
+    limit: Math.min(limit || DEFAULT_LIMIT, maxLimit),
+    offset: offset || 0,
+    after,
+    errors
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parsePropertyQuery,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,84 @@
+/**
+ * Turn user search input into a PostgreSQL tsquery string.
+ * Supported syntax:
+ * - words:           all must match (luxury villa)
+ * - "quoted phrase": words must appear next to each other
+ * - prefix*:         matches any word starting with prefix
+ * - -word:           excludes listings containing the word
+ * - OR:              either side may match (villa OR apartment)
+ * Everything else is treated as a word separator, so the result is always a valid tsquery.
+ */
+
+const MAX_TERMS = 20;
+
+/**
+ * Split text into searchable words
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Lowercase words
+ */
+const toWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Build a tsquery string for to_tsquery()
+ * @param {string} input - Search text as typed by the user
+ * @returns {string|null} tsquery source, or null if the input has no searchable terms
+ */
+const buildTsQuery = (input) => {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const tokens = input.match(/-?"[^"]*"?|\S+/g) || [];
+  const groups = [[]];
+  let termCount = 0;
+
+  for (const token of tokens) {
+    if (termCount >= MAX_TERMS) {
+      break;
+    }
+
+    if (token === 'OR') {
+      groups.push([]);
+      continue;
+    }
+
+    const negated = token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+    let term = null;
+
+    if (body.startsWith('"')) {
+      const words = toWords(body);
+      term = words.length > 0 ? words.join(' <-> ') : null;
+      if (term && words.length > 1) {
+        term = `(${term})`;
+      }
+    } else {
+      const words = toWords(body);
+      const isPrefix = body.endsWith('*');
+
+      if (words.length > 0) {
+        const parts = words.map((word, index) => (
+          isPrefix && index === words.length - 1 ? `${word}:*` : word
+        ));
+        // "wi-fi" style tokens become a phrase of their parts
+        term = parts.length > 1 ? `(${parts.join(' <-> ')})` : parts[0];
+      }
+    }
+
+    if (term) {
+      groups[groups.length - 1].push(negated ? `!${term}` : term);
+      termCount++;
+    }
+  }
+
+  const clauses = groups
+    // A group of only exclusions would match almost everything; require a positive term
+    .filter(group => group.some(term => !term.startsWith('!')))
+    .map(group => (group.length > 1 ? `(${group.join(' & ')})` : group[0]));
+
+  return clauses.length > 0 ? clauses.join(' | ') : null;
+};
+
+module.exports = {
+  buildTsQuery
+};
@@ -0,0 +1,90 @@
+/**
+ * Input validation helpers shared by the API routes
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Check an email address format
+ * @param {string} value - Candidate email
+ * @returns {boolean} True if valid
+ */
+const isValidEmail = (value) => {
+  return typeof value === 'string' && value.length <= 255 && EMAIL_PATTERN.test(value);
+};
+
+/**
+ * Check a phone number is in E.164 format (e.g. +2348012345678)
+ * @param {string} value - Candidate phone number
+ * @returns {boolean} True if valid
+ */
+const isE164Phone = (value) => {
+  return typeof value === 'string' && E164_PATTERN.test(value);
+};
+
+/**
+ * Check a value is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @param {number} maxLength - Maximum length allowed by the column
+ * @returns {boolean} True if valid
+ */
+const isHttpUrl = (value, maxLength = 255) => {
+  if (typeof value !== 'string' || value.length > maxLength) {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a required, trimmed, length-limited string
+ * @param {*} value - Candidate value
+ * @param {number} maxLength - Maximum length
+ * @returns {boolean} True if valid
+ */
+const isNonEmptyString = (value, maxLength) => {
+  return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+};
+
+/**
+ * Check a latitude in decimal degrees
+ * @param {*} value - Candidate latitude (number or numeric string)
+ * @returns {boolean} True if valid
+ */
+const isLatitude = (value) => {
+  const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= -90 && number <= 90;
+};
+
+/**
+ * Check a longitude in decimal degrees
+ * @param {*} value - Candidate longitude (number or numeric string)
+ * @returns {boolean} True if valid
+ */
+const isLongitude = (value) => {
+  const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= -180 && number <= 180;
+};
+
+/**
+ * Check a database ID, e.g. from a route parameter: a positive integer that fits an INTEGER column
+ * @param {*} value - Candidate ID (number or numeric string)
+ * @returns {boolean} True if valid
+ */
+const isPositiveInteger = (value) => /^[1-9]\d{0,9}$/.test(String(value)) && Number(value) <= 2147483647;
+
+module.exports = {
+  isValidEmail,
+  isE164Phone,
+  isHttpUrl,
+  isNonEmptyString,
+  isLatitude,
+  isLongitude,
+  isPositiveInteger
+};